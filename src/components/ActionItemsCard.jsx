@@ -0,0 +1,61 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { formatCallDate } from '../utils/callLibrary';
+import { ACTION_OWNERS, actionItemsToCsv, actionItemsToJson } from '../utils/commitments';
+import { downloadFile } from '../utils/download';
+
+// Promises made on the call as a task list for dispatch, exportable as CSV or JSON.
+// Citing an item steps through every sentence it was promised or asked for in.
+function ActionItemsCard({ items, sentences, call, onCite }) {
+  const exportItems = (format) => {
+    if (format === 'csv') {
+      downloadFile(`${call.id}-action-items.csv`, actionItemsToCsv(items, sentences, call), 'text/csv');
+    } else {
+      downloadFile(`${call.id}-action-items.json`, actionItemsToJson(items, sentences, call));
+    }
+  };
+
+  const cite = (item) =>
+    onCite(item.sentenceIdxs.map((idx) => ({ startIdx: idx, endIdx: idx })), `Action item: ${item.title}`);
+
+  return (
+    <div className="context-card action-items">
+      <h4>
+        📋 Action Items
+        {items.length > 0 && (
+          <span className="action-items-export">
+            <button onClick={() => exportItems('csv')}>⬇ CSV</button>
+            <button onClick={() => exportItems('json')}>⬇ JSON</button>
+          </span>
+        )}
+      </h4>
+
+      {items.length === 0 && <p>No commitments were made on this call.</p>}
+      <ul className="action-item-list">
+        {items.map((item) => (
+          <li key={item.id} className={`action-item ${item.owner} ${item.implicit ? 'implicit' : ''}`}>
+            <div className="action-item-header">
+              <span className="action-item-owner">{ACTION_OWNERS[item.owner]}</span>
+              <strong>{item.title}</strong>
+              {item.implicit && <span className="auto-badge">implied</span>}
+              <button className="action-item-cite" onClick={() => cite(item)} title="Show in the transcript">
+                {formatTime(item.time)}
+              </button>
+            </div>
+            <div className="action-item-due">
+              Due {item.due ? formatCallDate(item.due) : `${item.dueDays} days after the call`}
+              <span className="action-item-due-basis">
+                {item.dueText ? ` · said "${item.dueText}"` : ' · default for this kind of task'}
+              </span>
+            </div>
+            <div className="action-item-detail">
+              {item.implicit ? item.detail : `"${item.detail}"`}
+              {item.requested && <span className="action-item-requested"> · asked for by the customer</span>}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ActionItemsCard;
@@ -0,0 +1,60 @@
+import { diffStageEdit } from '../utils/analysisEdits';
+
+const CHANGE_MARKS = { added: '+', removed: '−', changed: '✎', moved: '↕' };
+const LIST_LABELS = { strengths: 'Strengths', gaps: 'Areas for Improvement' };
+
+// A stage's reviewer edits compared with the analysis generated when it was first edited
+function AnalysisChanges({ edit }) {
+  const diff = diffStageEdit(edit);
+  const hasChanges = diff.strengths.length > 0 || diff.gaps.length > 0 || diff.keyQuote;
+
+  return (
+    <div className="analysis-changes">
+      <p className="analysis-changes-meta">
+        Edited {new Date(edit.editedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+        {' '}· compared with the generated analysis
+      </p>
+      {!hasChanges && <p className="analysis-changes-empty">No differences from the generated analysis.</p>}
+      {['strengths', 'gaps'].map((list) => diff[list].length > 0 && (
+        <div key={list}>
+          <h6>{LIST_LABELS[list]}</h6>
+          <ul>
+            {diff[list].map((change, idx) => (
+              <li key={idx} className={`analysis-change ${change.type}`}>
+                <span className="analysis-change-mark">{CHANGE_MARKS[change.type]}</span>
+                <span>
+                  {change.type === 'changed' && change.before.text !== change.item.text && (
+                    <del>{change.before.text}</del>
+                  )}
+                  {change.type === 'removed' ? <del>{change.item.text}</del> : change.item.text}
+                  {change.type === 'changed' && change.before.citations.join('\n') !== change.item.citations.join('\n') && (
+                    <span className="analysis-change-note">
+                      {' '}(citations changed: {change.before.citations.length} → {change.item.citations.length})
+                    </span>
+                  )}
+                  {change.type === 'moved' && <span className="analysis-change-note"> (reordered)</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      {diff.keyQuote && (
+        <div>
+          <h6>Key Quote</h6>
+          <ul>
+            <li className="analysis-change changed">
+              <span className="analysis-change-mark">{CHANGE_MARKS.changed}</span>
+              <span>
+                {diff.keyQuote.before && <del>"{diff.keyQuote.before}"</del>}
+                {diff.keyQuote.after ? `"${diff.keyQuote.after}"` : '(removed)'}
+              </span>
+            </li>
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisChanges;
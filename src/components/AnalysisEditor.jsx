@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { toEditableAnalysis } from '../utils/analysisEdits';
+import { CITATION_MAX_SENTENCES } from '../utils/dataAnalysis';
+
+const LIST_LABELS = { strengths: '✅ Strengths', gaps: '⚠️ Areas for Improvement' };
+const ADD_LABELS = { strengths: '+ Add strength', gaps: '+ Add area for improvement' };
+
+// Edit mode for the analysis panel: add, reword, reorder and delete a stage's strengths
+// and gaps, and set its key quote. Citations are attached from text selected in the
+// transcript (`selection`, one entry per sentence); they are matched against the stage's
+// sentences like the generated ones, so a selection longer than a citation can match is
+// attached as one citation per sentence. Mount with `key={stage.id}` so switching stage
+// starts a fresh draft.
+function AnalysisEditor({ stage, selection, isEdited, onSave, onRevert, onCancel }) {
+  const [draft, setDraft] = useState(() => toEditableAnalysis(stage.analysis));
+  const selectionText = selection.join(' ');
+  const splitSelection = selection.length > CITATION_MAX_SENTENCES;
+  const selectionCitations = splitSelection ? selection : [selectionText].filter(Boolean);
+
+  const updateItems = (list, update) => setDraft({ ...draft, [list]: update(draft[list]) });
+
+  const updateItem = (list, idx, changes) =>
+    updateItems(list, (items) => items.map((item, i) => (i === idx ? { ...item, ...changes } : item)));
+
+  const moveItem = (list, idx, delta) =>
+    updateItems(list, (items) => {
+      const next = [...items];
+      [next[idx], next[idx + delta]] = [next[idx + delta], next[idx]];
+      return next;
+    });
+
+  const removeItem = (list, idx) => updateItems(list, (items) => items.filter((_, i) => i !== idx));
+
+  const addItem = (list) =>
+    updateItems(list, (items) => [...items, { text: '', citations: [], ruleId: null, from: null }]);
+
+  const attachSelection = (list, idx) => {
+    const { citations } = draft[list][idx];
+    const added = selectionCitations.filter((citation) => !citations.includes(citation));
+    if (added.length > 0) updateItem(list, idx, { citations: [...citations, ...added] });
+  };
+
+  const renderList = (list) => (
+    <div className="analysis-section">
+      <h5 className="analysis-section-title">{LIST_LABELS[list]}</h5>
+      <ol className="analysis-editor-list">
+        {draft[list].map((item, idx) => (
+          <li key={idx} className="analysis-editor-item">
+            <div className="analysis-editor-row">
+              <textarea
+                value={item.text}
+                onChange={(e) => updateItem(list, idx, { text: e.target.value })}
+                rows={2}
+                aria-label={`${list === 'strengths' ? 'Strength' : 'Gap'} ${idx + 1}`}
+              />
+              <div className="analysis-editor-item-actions">
+                <button onClick={() => moveItem(list, idx, -1)} disabled={idx === 0} title="Move up">↑</button>
+                <button onClick={() => moveItem(list, idx, 1)} disabled={idx === draft[list].length - 1} title="Move down">↓</button>
+                <button onClick={() => removeItem(list, idx)} title="Delete">🗑</button>
+              </div>
+            </div>
+            <div className="analysis-editor-citations">
+              {item.citations.map((citation, c) => (
+                <span key={c} className="analysis-editor-citation" title={citation}>
+                  📍 {citation}
+                  <button
+                    onClick={() => updateItem(list, idx, { citations: item.citations.filter((_, k) => k !== c) })}
+                    title="Remove citation"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+              <button
+                className="analysis-editor-attach"
+                onClick={() => attachSelection(list, idx)}
+                disabled={!selectionText}
+                title={selectionText ? `Cite "${selectionText}"` : 'Select text in the transcript to cite it'}
+              >
+                + Cite selection
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <button className="analysis-editor-add" onClick={() => addItem(list)}>{ADD_LABELS[list]}</button>
+    </div>
+  );
+
+  return (
+    <div className="analysis-editor">
+      <p className="analysis-editor-hint">
+        {selectionText
+          ? <>Selected in the transcript: <q>{selectionText}</q></>
+          : 'Select text in the transcript to attach it as a citation or use it as the key quote.'}
+        {splitSelection && ` It spans ${selection.length} sentences, so it is cited as one quote per sentence.`}
+      </p>
+
+      {renderList('strengths')}
+      {renderList('gaps')}
+
+      <div className="analysis-section">
+        <h5 className="analysis-section-title">💬 Key Quote</h5>
+        <textarea
+          className="analysis-editor-quote"
+          value={draft.keyQuote}
+          onChange={(e) => setDraft({ ...draft, keyQuote: e.target.value })}
+          rows={2}
+          aria-label="Key quote"
+        />
+        <button
+          className="analysis-editor-attach"
+          onClick={() => setDraft({ ...draft, keyQuote: selectionText })}
+          disabled={!selectionText}
+        >
+          Use selection
+        </button>
+      </div>
+
+      <div className="analysis-editor-actions">
+        <button className="primary" onClick={() => onSave(draft)}>Save changes</button>
+        <button onClick={onCancel}>Cancel</button>
+        {isEdited && (
+          <button className="danger" onClick={onRevert} title="Discard this stage's edits and show the generated analysis">
+            Revert to generated
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AnalysisEditor;
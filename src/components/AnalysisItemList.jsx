@@ -0,0 +1,53 @@
+const LIST_TITLES = { strengths: '✅ Strengths', gaps: '⚠️ Areas for Improvement' };
+
+// A stage's strengths or gaps (`kind`). Items with citations that match the stage's
+// sentences (`itemMatches`, keyed by item text) can be clicked to show their quotes.
+function AnalysisItemList({ kind, items, itemMatches, activeItemText, onCitationClick }) {
+  return (
+    <div className="analysis-section">
+      <h5 className="analysis-section-title">
+        {LIST_TITLES[kind]}
+      </h5>
+      <ul className={`analysis-list ${kind}`}>
+        {items.map((item, idx) => {
+          const itemData = typeof item === 'string' ? { text: item, citations: [] } : item;
+          // Only count matches within the current stage's sentences
+          const matchCount = itemMatches[itemData.text]?.length || 0;
+          const isActive = activeItemText === itemData.text;
+          const hasCitations = itemData.citations.length > 0;
+          const isClickable = hasCitations && matchCount > 0;
+
+          return (
+            <li
+              key={idx}
+              className={`${isActive ? 'citation-active-item' : ''} ${isClickable ? 'clickable' : ''}`}
+              onClick={isClickable ? () => onCitationClick(itemData.citations, itemData.text) : undefined}
+            >
+              <span className="analysis-item-text">{itemData.text}</span>
+              {hasCitations && (
+                <button
+                  className={`citation-btn ${isActive ? 'active' : ''} ${matchCount === 0 ? 'no-matches' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onCitationClick(itemData.citations, itemData.text);
+                  }}
+                  title={matchCount > 0 ? `Show ${matchCount} supporting quote(s)` : 'No matching quotes found in this stage'}
+                >
+                  <span className="citation-icon">📍</span>
+                  <span className="citation-match-count">{matchCount}</span>
+                </button>
+              )}
+              {kind === 'gaps' && !hasCitations && (
+                <span className="no-citation-badge" title="Gap identified by absence of evidence">
+                  —
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default AnalysisItemList;
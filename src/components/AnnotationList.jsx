@@ -0,0 +1,72 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { ANNOTATION_TAGS, listAnnotationAuthors } from '../utils/annotations';
+
+// Every note on the call, filterable by tag and author. Choosing one highlights its
+// words in the transcript; the filter also applies to the transcript and timeline markers.
+function AnnotationList({ annotations, visible, filter, onFilterChange, activeId, onSelect, speakerName }) {
+  const authors = listAnnotationAuthors(annotations);
+
+  return (
+    <div className="annotation-list">
+      <div className="annotation-list-header">
+        <select
+          value={filter.tag}
+          onChange={(e) => onFilterChange({ ...filter, tag: e.target.value })}
+          aria-label="Filter by tag"
+        >
+          <option value="">All tags</option>
+          {Object.entries(ANNOTATION_TAGS).map(([id, { label, icon }]) => (
+            <option key={id} value={id}>{icon} {label}</option>
+          ))}
+        </select>
+        <select
+          value={filter.author}
+          onChange={(e) => onFilterChange({ ...filter, author: e.target.value })}
+          aria-label="Filter by author"
+        >
+          <option value="">All authors</option>
+          {authors.map((author) => (
+            <option key={author} value={author}>{author}</option>
+          ))}
+        </select>
+        <span className="annotation-list-summary">
+          {visible.length === annotations.length
+            ? `${annotations.length} note${annotations.length === 1 ? '' : 's'}`
+            : `${visible.length} of ${annotations.length} notes`}
+        </span>
+      </div>
+
+      {annotations.length === 0 ? (
+        <p className="annotation-list-empty">
+          No notes yet. Use 💬 on a transcript sentence to add one.
+        </p>
+      ) : (
+        <ul className="annotation-list-items">
+          {visible.map((annotation, idx) => (
+            <li key={annotation.id}>
+              <button
+                className={`annotation-list-item tag-${annotation.tag} ${annotation.id === activeId ? 'active' : ''}`}
+                onClick={() => onSelect(visible, idx)}
+              >
+                <span className="mono">{formatTime(annotation.sentence.start)}</span>
+                <span className="annotation-tag">{ANNOTATION_TAGS[annotation.tag]?.icon}</span>
+                <span className="annotation-list-text">
+                  <strong>{annotation.author}:</strong> {annotation.comments[0].text}
+                  <span className="annotation-list-quote">
+                    {speakerName(annotation.sentence.speaker)}: "{annotation.quote}"
+                  </span>
+                </span>
+                {annotation.comments.length > 1 && (
+                  <span className="annotation-reply-count">{annotation.comments.length - 1} ↩</span>
+                )}
+              </button>
+            </li>
+          ))}
+          {visible.length === 0 && <li className="annotation-list-empty">No notes match this filter.</li>}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default AnnotationList;
@@ -0,0 +1,61 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Audio player for the call recording. Reports the playback position (ms)
+// through `onTimeChange` on every animation frame while playing, so the
+// transcript can highlight words in sync. The parent seeks through `audioRef`.
+function AudioPlayer({ src, audioRef, onTimeChange, onAttachFile, followPlayback, onFollowPlaybackChange }) {
+  const [playing, setPlaying] = useState(false);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const tick = () => {
+      if (audioRef.current) onTimeChange(audioRef.current.currentTime * 1000);
+      frameRef.current = requestAnimationFrame(tick);
+    };
+    frameRef.current = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [playing, audioRef, onTimeChange]);
+
+  return (
+    <div className="audio-player">
+      {src ? (
+        <>
+          <audio
+            ref={audioRef}
+            src={src}
+            controls
+            preload="metadata"
+            onPlay={() => setPlaying(true)}
+            onPause={() => setPlaying(false)}
+            onEnded={() => setPlaying(false)}
+            onSeeked={(e) => onTimeChange(e.currentTarget.currentTime * 1000)}
+          />
+          <label className="audio-follow-toggle">
+            <input
+              type="checkbox"
+              checked={followPlayback}
+              onChange={(e) => onFollowPlaybackChange(e.target.checked)}
+            />
+            Follow playback
+          </label>
+        </>
+      ) : (
+        <label className="audio-attach">
+          🎧 Load call recording
+          <span className="audio-attach-hint">Plays locally — the file is not uploaded</span>
+          <input
+            type="file"
+            accept="audio/*"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) onAttachFile(e.target.files[0]);
+            }}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default AudioPlayer;
@@ -0,0 +1,1635 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  calculateStats,
+  formatTime,
+  formatMinutes,
+  countKeywords,
+  generateCallStages,
+  groupSentencesByStage,
+  findCitationMatches,
+  findSentenceAtTime,
+  findWordAtTime,
+  getStageForTime,
+  getConfidenceLevel,
+} from '../utils/dataAnalysis';
+import { scoreCall, describeStageScore, describeCallScore } from '../utils/scoring';
+import {
+  DEFAULT_REVIEW_THRESHOLD,
+  buildReviewQueue,
+  getReviewKey,
+  loadConfidenceReviews,
+  saveConfidenceReviews,
+} from '../utils/confidenceReview';
+import { compileTaxonomy, findKeywordSpans, findKeywordWordSpans, findKeywordWords } from '../utils/keywordTaxonomy';
+import { extractEntities, summarizePricing } from '../utils/entityExtraction';
+import { checkFinancing } from '../utils/financingCheck';
+import { analyzeDynamics } from '../utils/conversationDynamics';
+import { extractActionItems } from '../utils/commitments';
+import {
+  EXPORT_FORMATS,
+  buildAnalysisExport,
+  sentencesToCsv,
+  toSrt,
+  toWebVtt,
+} from '../utils/callExport';
+import { downloadFile } from '../utils/download';
+import {
+  ANNOTATION_TAGS,
+  createAnnotation,
+  addComment,
+  resolveAnnotations,
+  filterAnnotations,
+  exportAnnotations,
+  loadAnnotations,
+  saveAnnotations,
+  loadAnnotationAuthor,
+  saveAnnotationAuthor,
+} from '../utils/annotations';
+import {
+  EMPTY_BOUNDARIES,
+  moveStageBoundary,
+  undoBoundaryChange,
+  resetStageBoundaries,
+  loadStageBoundaries,
+  saveStageBoundaries,
+} from '../utils/stageBoundaries';
+import {
+  saveStageEdit,
+  revertStageEdit,
+  applyAnalysisEdits,
+  loadAnalysisEdits,
+  saveAnalysisEdits,
+} from '../utils/analysisEdits';
+import {
+  REVISION_TYPES,
+  createRevision,
+  createUndoRevision,
+  createRestoreRevision,
+  getActiveRevisions,
+  findDetachedData,
+  applyRevisions,
+  loadTranscriptRevisions,
+  saveTranscriptRevisions,
+} from '../utils/transcriptRevisions';
+import {
+  SPEAKER_ROLES,
+  detectSpeakerRoles,
+  buildSpeakerProfiles,
+  listSpeakers,
+  loadSpeakerOverrides,
+  saveSpeakerOverrides,
+} from '../utils/speakerRoles';
+import AudioPlayer from './AudioPlayer';
+import ConfidenceReview from './ConfidenceReview';
+import TranscriptSearch from './TranscriptSearch';
+import KeywordManager from './KeywordManager';
+import KeywordTimeline from './KeywordTimeline';
+import PricingCard from './PricingCard';
+import RebatesCard from './RebatesCard';
+import FinancingCheckCard from './FinancingCheckCard';
+import SpeakerEditor from './SpeakerEditor';
+import DynamicsMetrics from './DynamicsMetrics';
+import QuestionList from './QuestionList';
+import ObjectionLogCard from './ObjectionLogCard';
+import ActionItemsCard from './ActionItemsCard';
+import CoachingReport from './CoachingReport';
+import ExportMenu from './ExportMenu';
+import SentenceAnnotations from './SentenceAnnotations';
+import AnnotationList from './AnnotationList';
+import StageBoundaryHandles from './StageBoundaryHandles';
+import AnalysisItemList from './AnalysisItemList';
+import AnalysisEditor from './AnalysisEditor';
+import AnalysisChanges from './AnalysisChanges';
+import SentenceEditor from './SentenceEditor';
+import RevisionLog from './RevisionLog';
+
+const REVIEW_CITATION_LABEL = 'Low-confidence review';
+const NOTE_CITATION_LABEL = 'Reviewer notes';
+
+// Transcript text inside the current selection, without the times and speaker labels
+// around it: one entry per sentence the selection runs across.
+const getSelectedTranscriptParts = (container) => {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || !container) return [];
+  const range = selection.getRangeAt(0);
+  const parts = [...container.querySelectorAll('.sentence-text')]
+    .filter((el) => range.intersectsNode(el))
+    .map((el) => {
+      const part = document.createRange();
+      part.selectNodeContents(el);
+      if (el.contains(range.startContainer)) part.setStart(range.startContainer, range.startOffset);
+      if (el.contains(range.endContainer)) part.setEnd(range.endContainer, range.endOffset);
+      return part.toString().replace(/\s+/g, ' ').trim();
+    });
+  return parts.filter(Boolean);
+};
+
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Per-call analysis view. Everything below is derived from the `sentences` prop (with the
+// reviewer's transcript corrections replayed over it), so mounting it with a new `key`
+// re-runs the whole pipeline for another call.
+function CallDashboard({ call, sentences: asrSentences, assessment, taxonomy, onTaxonomyChange }) {
+  // Transcript corrections: the revision log and the corrected sentences built from it
+  const [revisions, setRevisions] = useState([]);
+  const [correcting, setCorrecting] = useState(false);
+  const [editingSentenceIdx, setEditingSentenceIdx] = useState(null);
+  const sentences = useMemo(() => applyRevisions(asrSentences, revisions), [asrSentences, revisions]);
+  const activeRevisions = useMemo(() => getActiveRevisions(revisions), [revisions]);
+  const asrSpeakers = useMemo(() => listSpeakers(asrSentences), [asrSentences]);
+
+  const [activeStage, setActiveStage] = useState('introduction');
+  
+  // Citation navigation state
+  const [activeCitations, setActiveCitations] = useState(null); // { matches: [], currentIndex: 0, itemText: '' }
+  const transcriptContainerRef = useRef(null);
+  const sentenceRefs = useRef({});
+
+  // Audio playback state - the recording comes from the call index or a local file
+  const audioRef = useRef(null);
+  const [audioSrc, setAudioSrc] = useState(call.audio || null);
+  const [playbackTime, setPlaybackTime] = useState(null); // ms into the recording
+  const [followPlayback, setFollowPlayback] = useState(true);
+
+  // Confidence heatmap and low-confidence review queue
+  const [showConfidence, setShowConfidence] = useState(false);
+  const [reviewOpen, setReviewOpen] = useState(false);
+  const [reviewThreshold, setReviewThreshold] = useState(DEFAULT_REVIEW_THRESHOLD);
+  const [reviewPosition, setReviewPosition] = useState(0);
+  const [reviews, setReviews] = useState({}); // { [reviewKey]: { status, correction?, reviewedAt } }
+
+  // Reviewer notes: stored annotations, the open thread panel and the list filter
+  const [annotations, setAnnotations] = useState([]);
+  const [annotationAuthor, setAnnotationAuthor] = useState('');
+  const [notesOpen, setNotesOpen] = useState(false);
+  const [noteSentenceIdx, setNoteSentenceIdx] = useState(null); // sentence whose notes are open
+  const [annotationFilter, setAnnotationFilter] = useState({ tag: '', author: '' });
+
+  // Speaker names and roles: detected, with this call's edits on top
+  const [speakerOverrides, setSpeakerOverrides] = useState({ names: {}, roles: {} });
+  const [speakerEditorOpen, setSpeakerEditorOpen] = useState(false);
+  const detectedRoles = useMemo(
+    () => detectSpeakerRoles(sentences, { customer: call.customer }),
+    [sentences, call.customer]
+  );
+  // Kept separate from names so renaming a speaker doesn't re-run the stage analysis
+  const speakerRoles = useMemo(
+    () => ({ ...detectedRoles, ...speakerOverrides.roles }),
+    [detectedRoles, speakerOverrides.roles]
+  );
+  const speakerProfiles = useMemo(
+    () => buildSpeakerProfiles(
+      sentences,
+      { customer: call.customer, technician: call.technician },
+      detectedRoles,
+      speakerOverrides
+    ),
+    [sentences, call.customer, call.technician, detectedRoles, speakerOverrides]
+  );
+
+  // Calculate stats and groupings
+  const stats = useMemo(() => calculateStats(sentences), [sentences]);
+  const keywords = useMemo(() => countKeywords(sentences, taxonomy), [sentences, taxonomy]);
+  const compiledKeywords = useMemo(() => compileTaxonomy(taxonomy), [taxonomy]);
+  const [keywordManagerOpen, setKeywordManagerOpen] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+
+  // Stage boundaries the reviewer has dragged: { starts: { [stageId]: ms }, history }.
+  // While a handle is held, `boundaryDragBase` keeps the state from before the drag.
+  const [stageBoundaries, setStageBoundaries] = useState(EMPTY_BOUNDARIES);
+  const boundaryDragBase = useRef(null);
+  const timelineTrackRef = useRef(null);
+  
+  // Reviewer edits to strengths, gaps and key quotes: { [stageId]: edit } (see analysisEdits.js)
+  const [analysisEdits, setAnalysisEdits] = useState({});
+  const [editingAnalysis, setEditingAnalysis] = useState(false);
+  const [showAnalysisChanges, setShowAnalysisChanges] = useState(false);
+  const [transcriptSelection, setTranscriptSelection] = useState([]);
+  
+  // Generate stages with dynamic timestamps from sentences data, then apply reviewer edits
+  const detectedStages = useMemo(
+    () => generateCallStages(sentences, { customer: call.customer, speakerRoles, stageStarts: stageBoundaries.starts }),
+    [sentences, call.customer, speakerRoles, stageBoundaries.starts]
+  );
+  const callStages = useMemo(() => applyAnalysisEdits(detectedStages, analysisEdits), [detectedStages, analysisEdits]);
+  const stageGroups = useMemo(() => groupSentencesByStage(sentences, callStages), [sentences, callStages]);
+  const callScore = useMemo(() => scoreCall(callStages), [callStages]);
+  const objections = useMemo(() => callStages.flatMap((stage) => stage.objections), [callStages]);
+  const actionItems = useMemo(
+    () => extractActionItems(sentences, speakerRoles, call.date),
+    [sentences, speakerRoles, call.date]
+  );
+  const callDynamics = useMemo(() => analyzeDynamics(sentences, speakerRoles), [sentences, speakerRoles]);
+  const entities = useMemo(() => extractEntities(sentences), [sentences]);
+  const pricing = useMemo(() => summarizePricing(entities), [entities]);
+  const financingCheck = useMemo(() => checkFinancing(entities, pricing), [entities, pricing]);
+  const currentStage = useMemo(
+    () => callStages.find((s) => s.id === activeStage),
+    [activeStage, callStages]
+  );
+
+  const reviewQueue = useMemo(
+    () => buildReviewQueue(sentences, reviewThreshold),
+    [sentences, reviewThreshold]
+  );
+
+  const resolvedAnnotations = useMemo(() => resolveAnnotations(annotations, sentences), [annotations, sentences]);
+  const visibleAnnotations = useMemo(
+    () => filterAnnotations(resolvedAnnotations, annotationFilter),
+    [resolvedAnnotations, annotationFilter]
+  );
+  // Filtered notes per sentence, for the transcript markers: { [sentenceIdx]: annotations[] }
+  const annotationsBySentence = useMemo(() => {
+    const bySentence = {};
+    visibleAnnotations.forEach((annotation) => {
+      if (!bySentence[annotation.sentenceIdx]) bySentence[annotation.sentenceIdx] = [];
+      bySentence[annotation.sentenceIdx].push(annotation);
+    });
+    return bySentence;
+  }, [visibleAnnotations]);
+
+  // Restore this call's review verdicts from earlier sessions
+  useEffect(() => {
+    loadConfidenceReviews(call.id)
+      .then(setReviews)
+      .catch((err) => console.error('Error loading confidence reviews:', err));
+  }, [call.id]);
+
+  useEffect(() => {
+    loadStageBoundaries(call.id)
+      .then(setStageBoundaries)
+      .catch((err) => console.error('Error loading stage boundaries:', err));
+  }, [call.id]);
+
+  useEffect(() => {
+    loadTranscriptRevisions(call.id)
+      .then(setRevisions)
+      .catch((err) => console.error('Error loading transcript revisions:', err));
+  }, [call.id]);
+
+  useEffect(() => {
+    loadAnalysisEdits(call.id)
+      .then(setAnalysisEdits)
+      .catch((err) => console.error('Error loading analysis edits:', err));
+  }, [call.id]);
+
+  useEffect(() => {
+    loadAnnotations(call.id)
+      .then(setAnnotations)
+      .catch((err) => console.error('Error loading annotations:', err));
+  }, [call.id]);
+
+  useEffect(() => {
+    loadAnnotationAuthor()
+      .then(setAnnotationAuthor)
+      .catch((err) => console.error('Error loading annotation author:', err));
+  }, []);
+
+  useEffect(() => {
+    loadSpeakerOverrides(call.id)
+      .then(setSpeakerOverrides)
+      .catch((err) => console.error('Error loading speaker names:', err));
+  }, [call.id]);
+
+  // Sentence and word under the playhead
+  const playingSentenceIdx = useMemo(
+    () => (playbackTime == null ? -1 : findSentenceAtTime(sentences, playbackTime)),
+    [sentences, playbackTime]
+  );
+  const playingWordIdx = playingSentenceIdx === -1
+    ? -1
+    : findWordAtTime(sentences[playingSentenceIdx].words, playbackTime);
+
+  // Release object URLs created for locally attached recordings
+  useEffect(() => () => {
+    if (audioSrc?.startsWith('blob:')) URL.revokeObjectURL(audioSrc);
+  }, [audioSrc]);
+
+  const attachAudioFile = useCallback((file) => {
+    setAudioSrc(URL.createObjectURL(file));
+  }, []);
+
+  // Seek the recording to a transcript time (no-op until a recording is loaded)
+  const seekTo = useCallback((ms) => {
+    if (!audioRef.current) return;
+    audioRef.current.currentTime = ms / 1000;
+    setPlaybackTime(ms);
+  }, []);
+
+  // Playback position updates arrive every animation frame; only re-render
+  // every 100ms, and switch stages when following playback into a new one
+  const handleTimeChange = useCallback((ms) => {
+    setPlaybackTime((prev) => (prev != null && Math.abs(ms - prev) < 100 ? prev : ms));
+    if (followPlayback) {
+      const sentenceIdx = findSentenceAtTime(sentences, ms);
+      if (sentenceIdx !== -1) {
+        setActiveStage(getStageForTime(sentences[sentenceIdx].start, callStages).id);
+      }
+    }
+  }, [followPlayback, sentences, callStages]);
+
+  // Citation matches for a stage, with sentence indices into the whole transcript
+  // (stage groups are contiguous runs of `sentences`)
+  const findStageCitations = useCallback((stageId, citations) => {
+    const stageSentences = stageGroups[stageId]?.sentences || [];
+    if (!stageSentences.length) return [];
+    const offset = sentences.indexOf(stageSentences[0]);
+    return findCitationMatches(stageSentences, citations).map((match) => ({
+      ...match,
+      sentenceIdx: match.sentenceIdx + offset,
+      spans: match.spans.map((span) => ({ ...span, sentenceIdx: span.sentenceIdx + offset })),
+    }));
+  }, [sentences, stageGroups]);
+
+  // Citations of the first strength in a stage that has supporting quotes, or null
+  const findFirstStrengthCitations = useCallback((stageId) => {
+    const stage = callStages.find((s) => s.id === stageId);
+    if (!stage) return null;
+    for (const item of stage.analysis.strengths) {
+      const itemData = typeof item === 'string' ? { text: item, citations: [] } : item;
+      const matches = findStageCitations(stageId, itemData.citations);
+      if (matches.length > 0) return { matches, currentIndex: 0, itemText: itemData.text };
+    }
+    return null;
+  }, [callStages, findStageCitations]);
+
+  // Matches for every strength and gap of the open stage, keyed by item text
+  const stageItemMatches = useMemo(() => {
+    const byItem = {};
+    [...(currentStage?.analysis.strengths || []), ...(currentStage?.analysis.gaps || [])].forEach((item) => {
+      if (typeof item !== 'string') byItem[item.text] = findStageCitations(activeStage, item.citations);
+    });
+    return byItem;
+  }, [currentStage, activeStage, findStageCitations]);
+
+  // Track if initial auto-selection has been done
+  const initialSelectionDone = useRef(false);
+  // Track if we should skip scrolling (for initial load)
+  const skipNextScroll = useRef(true);
+  
+  // Auto-select first strength on initial load
+  useEffect(() => {
+    if (sentences.length > 0 && !initialSelectionDone.current) {
+      initialSelectionDone.current = true;
+      // Small delay to ensure all memoized values are computed
+      setTimeout(() => {
+        const citations = findFirstStrengthCitations(activeStage);
+        if (citations) setActiveCitations(citations);
+      }, 0);
+    }
+  }, [sentences, findFirstStrengthCitations, activeStage]);
+
+  // Highlight keywords in text (returns escaped HTML)
+  const highlightKeywords = (text) => {
+    let result = '';
+    let cursor = 0;
+    findKeywordSpans(text, compiledKeywords).forEach(({ start, end, keyword }) => {
+      result += escapeHtml(text.slice(cursor, start));
+      result += `<span class="keyword" style="background: ${keyword.color}22; color: ${keyword.color}">${escapeHtml(text.slice(start, end))}</span>`;
+      cursor = end;
+    });
+    return result + escapeHtml(text.slice(cursor));
+  };
+
+  // Handle citation button click - only search within current stage's sentences
+  const handleCitationClick = useCallback((citations, itemText) => {
+    const matches = findStageCitations(activeStage, citations);
+    
+    if (matches.length === 0) {
+      // No matches found
+      setActiveCitations(null);
+      return;
+    }
+    
+    setActiveCitations({
+      matches,
+      currentIndex: 0,
+      itemText,
+    });
+    seekTo(matches[0].sentence.start);
+  }, [findStageCitations, activeStage, seekTo]);
+
+  // Navigate between citations, following them into other stages (search results span the call)
+  const navigateCitation = useCallback((direction) => {
+    if (!activeCitations) return;
+    
+    const newIndex = direction === 'next'
+      ? (activeCitations.currentIndex + 1) % activeCitations.matches.length
+      : (activeCitations.currentIndex - 1 + activeCitations.matches.length) % activeCitations.matches.length;
+    const { sentence } = activeCitations.matches[newIndex];
+    
+    setActiveStage(getStageForTime(sentence.start, callStages).id);
+    setActiveCitations(prev => ({
+      ...prev,
+      currentIndex: newIndex,
+    }));
+    seekTo(sentence.start);
+  }, [activeCitations, callStages, seekTo]);
+
+  // Close citations
+  const closeCitations = useCallback(() => {
+    setActiveCitations(null);
+  }, []);
+
+  // Center a sentence within the transcript container only (not the page).
+  // With `onlyIfHidden`, leave the scroll position alone if it is already fully visible.
+  const scrollToSentence = useCallback((globalSentenceIdx, onlyIfHidden = false) => {
+    const sentenceEl = sentenceRefs.current[globalSentenceIdx];
+    const container = transcriptContainerRef.current;
+    if (!sentenceEl || !container) return;
+    
+    const containerRect = container.getBoundingClientRect();
+    const sentenceRect = sentenceEl.getBoundingClientRect();
+    if (onlyIfHidden && sentenceRect.top >= containerRect.top && sentenceRect.bottom <= containerRect.bottom) return;
+    
+    // Calculate the offset relative to the container's scroll position
+    const scrollTop = container.scrollTop + (sentenceRect.top - containerRect.top) - (containerRect.height / 2) + (sentenceRect.height / 2);
+    
+    container.scrollTo({
+      top: scrollTop,
+      behavior: 'smooth',
+    });
+  }, []);
+
+  // Auto-scroll to highlighted sentence (skip on initial page load)
+  useEffect(() => {
+    if (activeCitations && activeCitations.matches.length > 0) {
+      // Skip scrolling on initial page load
+      if (skipNextScroll.current) {
+        skipNextScroll.current = false;
+        return;
+      }
+      
+      const currentMatch = activeCitations.matches[activeCitations.currentIndex];
+      scrollToSentence(currentMatch.sentenceIdx);
+    }
+  }, [activeCitations, scrollToSentence]);
+
+  // Keep the sentence being played in view while following playback
+  useEffect(() => {
+    if (followPlayback && playingSentenceIdx !== -1) {
+      scrollToSentence(playingSentenceIdx, true);
+    }
+  }, [followPlayback, playingSentenceIdx, activeStage, scrollToSentence]);
+
+  // Handle stage change and auto-select first strength item
+  const handleStageChange = useCallback((stageId) => {
+    setActiveStage(stageId);
+    // If no strengths have matches, clear citations
+    setActiveCitations(findFirstStrengthCitations(stageId));
+  }, [findFirstStrengthCitations]);
+
+  // Highlight a list of matches like citations, switching to the stage of the focused one
+  const focusMatches = useCallback((matches, currentIndex, itemText) => {
+    const { sentence } = matches[currentIndex];
+    setActiveStage(getStageForTime(sentence.start, callStages).id);
+    setActiveCitations({ matches, currentIndex, itemText });
+    seekTo(sentence.start);
+  }, [callStages, seekTo]);
+
+  const focusSentence = useCallback((sentenceIdx, itemText) => {
+    const sentence = sentences[sentenceIdx];
+    const spans = [{ sentenceIdx, wordStart: 0, wordEnd: sentence.words.length }];
+    focusMatches([{ sentenceIdx, sentence, matchedPattern: sentence.text, spans }], 0, itemText);
+  }, [sentences, focusMatches]);
+
+  const selectSearchResult = useCallback((results, index, query) => {
+    const matches = results.map(({ sentenceIdx, sentence, wordStart, wordEnd }) => ({
+      sentenceIdx,
+      sentence,
+      matchedPattern: query,
+      spans: [{ sentenceIdx, wordStart, wordEnd }],
+    }));
+    focusMatches(matches, index, `Search: "${query}"`);
+  }, [focusMatches]);
+
+  const stepReview = useCallback((position) => {
+    setReviewPosition(position);
+    if (reviewQueue[position]) focusSentence(reviewQueue[position].sentenceIdx, REVIEW_CITATION_LABEL);
+  }, [reviewQueue, focusSentence]);
+
+  // Step through every mention of a keyword, starting from the one clicked on the timeline
+  const selectKeywordMention = (term, index) => {
+    const keyword = compiledKeywords.find((k) => k.term === term);
+    const matches = keywords[term].mentions.map(({ sentenceIdx }) => {
+      const sentence = sentences[sentenceIdx];
+      const spans = findKeywordWordSpans(sentence, keyword).map((span) => ({ sentenceIdx, ...span }));
+      return { sentenceIdx, sentence, matchedPattern: term, spans };
+    });
+    focusMatches(matches, index, `Keyword: ${term}`);
+    transcriptContainerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  // Step through a list of detected questions, starting from the one chosen
+  const selectQuestion = (questions, index, itemText) => {
+    const matches = questions.map(({ sentenceIdx }) => ({
+      sentenceIdx,
+      sentence: sentences[sentenceIdx],
+      matchedPattern: itemText,
+      spans: [{ sentenceIdx, wordStart: 0, wordEnd: sentences[sentenceIdx].words.length }],
+    }));
+    focusMatches(matches, index, itemText);
+  };
+
+  // Highlight whole sentence ranges, e.g. a monologue or the two sides of an interruption,
+  // starting at ranges[index]
+  const focusRanges = (ranges, itemText, index = 0) => {
+    const matches = ranges.map(({ startIdx, endIdx }) => ({
+      sentenceIdx: startIdx,
+      sentence: sentences[startIdx],
+      matchedPattern: itemText,
+      spans: sentences.slice(startIdx, endIdx + 1).map((sentence, k) => ({
+        sentenceIdx: startIdx + k,
+        wordStart: 0,
+        wordEnd: sentence.words.length,
+      })),
+    }));
+    focusMatches(matches, index, itemText);
+    transcriptContainerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  // Show the sentences an extracted value came from, with the value itself highlighted
+  const citeEntities = (entityList, index, itemText) => {
+    const matches = entityList.map((entity) => ({
+      sentenceIdx: entity.sentenceIdx,
+      sentence: sentences[entity.sentenceIdx],
+      matchedPattern: entity.text,
+      spans: [{ sentenceIdx: entity.sentenceIdx, wordStart: entity.wordStart, wordEnd: entity.wordEnd }],
+    }));
+    focusMatches(matches, index, itemText);
+    transcriptContainerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
+  // Step through notes, highlighting the words each one covers
+  const focusAnnotations = (annotationList, index) => {
+    const matches = annotationList.map((annotation) => ({
+      sentenceIdx: annotation.sentenceIdx,
+      sentence: annotation.sentence,
+      matchedPattern: annotation.quote,
+      annotationId: annotation.id,
+      spans: [{ sentenceIdx: annotation.sentenceIdx, wordStart: annotation.wordStart, wordEnd: annotation.wordEnd }],
+    }));
+    focusMatches(matches, index, NOTE_CITATION_LABEL);
+  };
+
+  const activeAnnotationId = activeCitations?.itemText === NOTE_CITATION_LABEL
+    ? activeCitations.matches[activeCitations.currentIndex]?.annotationId
+    : null;
+
+  // Persist the whole list after any change to a note or thread
+  const updateAnnotations = (next) => {
+    setAnnotations(next);
+    saveAnnotations(call.id, next)
+      .catch((err) => console.error('Error saving annotations:', err));
+  };
+
+  const changeAnnotationAuthor = (author) => {
+    setAnnotationAuthor(author);
+    saveAnnotationAuthor(author.trim())
+      .catch((err) => console.error('Error saving annotation author:', err));
+  };
+
+  const addAnnotation = (fields) => updateAnnotations([...annotations, createAnnotation(fields)]);
+
+  const replyToAnnotation = (annotationId, text) =>
+    updateAnnotations(annotations.map((annotation) => (
+      annotation.id === annotationId ? addComment(annotation, annotationAuthor.trim(), text) : annotation
+    )));
+
+  const deleteAnnotation = (annotationId) =>
+    updateAnnotations(annotations.filter((annotation) => annotation.id !== annotationId));
+
+  const updateStageBoundaries = (next) => {
+    setStageBoundaries(next);
+    saveStageBoundaries(call.id, next)
+      .catch((err) => console.error('Error saving stage boundaries:', err));
+  };
+
+  // Follow a boundary handle live; only the drop is saved and added to the undo history
+  const dragStageBoundary = (stageId, sentence) => {
+    if (!boundaryDragBase.current) boundaryDragBase.current = stageBoundaries;
+    const base = boundaryDragBase.current;
+    setStageBoundaries({ ...base, starts: { ...base.starts, [stageId]: sentence.start } });
+  };
+
+  const dropStageBoundary = (stageId, sentence) => {
+    const base = boundaryDragBase.current || stageBoundaries;
+    boundaryDragBase.current = null;
+    updateStageBoundaries(moveStageBoundary(base, stageId, sentence));
+  };
+
+  // A handle released where it started: put back whatever the live preview replaced
+  const cancelStageBoundaryDrag = () => {
+    if (boundaryDragBase.current) setStageBoundaries(boundaryDragBase.current);
+    boundaryDragBase.current = null;
+  };
+
+  const boundariesAdjusted = callStages.some((stage) => stage.adjusted);
+
+  const updateAnalysisEdits = (next) => {
+    setAnalysisEdits(next);
+    saveAnalysisEdits(call.id, next)
+      .catch((err) => console.error('Error saving analysis edits:', err));
+  };
+
+  const toggleAnalysisEditor = () => {
+    setEditingAnalysis(!editingAnalysis);
+    setShowAnalysisChanges(false);
+    setTranscriptSelection([]);
+  };
+
+  // The first edit of a stage snapshots its generated analysis for comparison
+  const saveAnalysisEdit = (draft) => {
+    updateAnalysisEdits(saveStageEdit(analysisEdits, detectedStages.find((s) => s.id === activeStage), draft));
+    setEditingAnalysis(false);
+  };
+
+  const revertAnalysisEdit = () => {
+    updateAnalysisEdits(revertStageEdit(analysisEdits, activeStage));
+    setEditingAnalysis(false);
+    setShowAnalysisChanges(false);
+  };
+
+  const updateRevisions = (next) => {
+    setRevisions(next);
+    saveTranscriptRevisions(call.id, next)
+      .catch((err) => console.error('Error saving transcript revisions:', err));
+  };
+
+  // Record corrections to one sentence (`changes` is [{ type, payload }]) under the reviewer's
+  // name. A split or merge that would hide notes, reviews or boundaries asks first; returns
+  // whether the changes were recorded.
+  const reviseSentence = (sentenceIdx, changes) => {
+    const sentence = sentences[sentenceIdx];
+    const nextSentence = sentences[sentenceIdx + 1];
+    const attached = { annotations, reviews, stageStarts: stageBoundaries.starts };
+    const detached = changes.flatMap(({ type, payload }) => findDetachedData(type, payload, sentence, nextSentence, attached));
+    if (detached.length > 0 && !window.confirm(
+      `This hides ${detached.join(', ')} until the change is undone. Continue?`
+    )) return false;
+    const added = changes.map(({ type, payload }) =>
+      createRevision(type, sentence, payload, annotationAuthor.trim(), nextSentence));
+    if (added.length > 0) updateRevisions([...revisions, ...added]);
+    return true;
+  };
+
+  // Undo and restore are added to the log rather than cutting it, so the record survives
+  const undoRevision = () => {
+    const last = activeRevisions[activeRevisions.length - 1];
+    if (!last || !window.confirm(`Undo "${REVISION_TYPES[last.type]}" by ${last.author}?`)) return;
+    updateRevisions([...revisions, createUndoRevision(last, annotationAuthor.trim())]);
+  };
+
+  const restoreAsrTranscript = () => {
+    const count = activeRevisions.length;
+    if (!window.confirm(`Take back all ${count} correction${count === 1 ? '' : 's'} and show the ASR transcript? They stay in the revision log.`)) return;
+    updateRevisions([...revisions, createRestoreRevision(count, annotationAuthor.trim())]);
+  };
+
+  const toggleCorrecting = () => {
+    setCorrecting(!correcting);
+    setEditingSentenceIdx(null);
+  };
+
+  const selectRevision = (revision) => {
+    const sentenceIdx = sentences.findIndex((s) => s.start === revision.sentenceStart);
+    if (sentenceIdx !== -1) focusSentence(sentenceIdx, 'Transcript correction');
+  };
+
+  const isActiveMention = (term, sentenceIdx) =>
+    activeCitations?.itemText === `Keyword: ${term}`
+    && activeCitations.matches[activeCitations.currentIndex]?.sentenceIdx === sentenceIdx;
+
+  const toggleReview = () => {
+    if (!reviewOpen) stepReview(Math.max(0, Math.min(reviewPosition, reviewQueue.length - 1)));
+    else if (activeCitations?.itemText === REVIEW_CITATION_LABEL) setActiveCitations(null);
+    setReviewOpen(!reviewOpen);
+  };
+
+  const changeReviewThreshold = (threshold) => {
+    setReviewThreshold(threshold);
+    setReviewPosition(0);
+  };
+
+  // Record a verdict (or clear it with `null`), persist it, and move on to the next sentence
+  const recordReview = (key, review) => {
+    const next = { ...reviews };
+    if (review) next[key] = { ...review, reviewedAt: new Date().toISOString() };
+    else delete next[key];
+    setReviews(next);
+    saveConfidenceReviews(call.id, next)
+      .catch((err) => console.error('Error saving confidence review:', err));
+    if (review && reviewPosition < reviewQueue.length - 1) stepReview(reviewPosition + 1);
+  };
+
+  const listenToSentence = (item) => {
+    seekTo(item.sentence.start);
+    audioRef.current?.play();
+  };
+
+  const speakerName = (speaker) => speakerProfiles[speaker]?.name || `Speaker ${speaker}`;
+  const speakerColor = (speaker) => speakerProfiles[speaker]?.color || 'a';
+
+  // Persist a speaker name or role edit (`field` is 'names' or 'roles'); a blank name
+  // goes back to the default
+  const updateSpeaker = (field, speaker, value) => {
+    const next = { ...speakerOverrides, [field]: { ...speakerOverrides[field], [speaker]: value } };
+    setSpeakerOverrides(next);
+    saveSpeakerOverrides(call.id, next)
+      .catch((err) => console.error('Error saving speaker names:', err));
+  };
+
+  const resetSpeakers = () => {
+    const next = { names: {}, roles: {} };
+    setSpeakerOverrides(next);
+    saveSpeakerOverrides(call.id, next)
+      .catch((err) => console.error('Error saving speaker names:', err));
+  };
+
+  // Matched word ranges per highlighted sentence: { [globalIdx]: [[wordStart, wordEnd], ...] }.
+  // A citation spanning a sentence break highlights both sentences.
+  const citedWordRanges = useMemo(() => {
+    const ranges = {};
+    activeCitations?.matches.forEach((match) => {
+      (match.spans?.length ? match.spans : [{ sentenceIdx: match.sentenceIdx, wordStart: 0, wordEnd: match.sentence.words.length }])
+        .forEach(({ sentenceIdx, wordStart, wordEnd }) => {
+          if (!ranges[sentenceIdx]) ranges[sentenceIdx] = [];
+          ranges[sentenceIdx].push([wordStart, wordEnd]);
+        });
+    });
+    return ranges;
+  }, [activeCitations]);
+
+  // Check if a sentence is currently highlighted as a citation
+  const isSentenceHighlighted = useCallback(
+    (globalSentenceIdx) => Boolean(citedWordRanges[globalSentenceIdx]),
+    [citedWordRanges]
+  );
+
+  // Check if a sentence is the current (focused) citation
+  const isSentenceCurrent = useCallback((globalSentenceIdx) => {
+    if (!activeCitations) return false;
+    const currentMatch = activeCitations.matches[activeCitations.currentIndex];
+    if (!currentMatch) return false;
+    return currentMatch.sentenceIdx === globalSentenceIdx
+      || Boolean(currentMatch.spans?.some((span) => span.sentenceIdx === globalSentenceIdx));
+  }, [activeCitations]);
+
+  // Get global sentence index from stage sentences
+  const getGlobalSentenceIndex = useCallback((localIdx) => {
+    const stageSentences = stageGroups[activeStage]?.sentences || [];
+    if (localIdx >= stageSentences.length) return -1;
+    return sentences.indexOf(stageSentences[localIdx]);
+  }, [sentences, stageGroups, activeStage]);
+
+  const exportCall = (formatId) => {
+    const builders = {
+      analysis: () => buildAnalysisExport({
+        call,
+        sentences,
+        assessment,
+        stats,
+        callScore,
+        callStages,
+        keywords,
+        speakerProfiles,
+        pricing,
+        financingCheck,
+        objections,
+        actionItems,
+        annotations: exportAnnotations(resolvedAnnotations),
+        transcriptRevisions: revisions,
+        findCitations: findStageCitations,
+      }),
+      sentences: () => sentencesToCsv(sentences, callStages, speakerName, resolvedAnnotations),
+      srt: () => toSrt(sentences, speakerName),
+      vtt: () => toWebVtt(sentences, speakerName),
+    };
+    const { suffix, mimeType } = EXPORT_FORMATS[formatId];
+    downloadFile(`${call.id}${suffix}`, builders[formatId](), mimeType);
+  };
+
+  const toggleReport = (open) => {
+    setReportOpen(open);
+    window.scrollTo({ top: 0 });
+  };
+
+  if (reportOpen) {
+    return (
+      <main className="main-content">
+        <CoachingReport
+          call={call}
+          sentences={sentences}
+          assessment={assessment}
+          callStages={callStages}
+          callScore={callScore}
+          callDuration={stats?.callDuration || 0}
+          pricing={pricing}
+          findCitations={findStageCitations}
+          speakerName={speakerName}
+          onClose={() => toggleReport(false)}
+        />
+      </main>
+    );
+  }
+
+  return (
+    <main className="main-content">
+      {/* Overall Assessment Section */}
+      <section className="summary-section">
+        {/* Call Type Identification Banner */}
+        {assessment && (
+          <div className="call-type-banner">
+            <div className="call-type-header">
+              <span className="call-type-icon">📞</span>
+              <h3 className="call-type-title">Call Type Identification</h3>
+            </div>
+            <div className="call-type-content">
+              <div className="call-type-primary">
+                <span className="call-type-label">Type:</span>
+                <span className="call-type-value">{assessment.callType.primary}</span>
+              </div>
+              <p className="call-type-description">{assessment.callType.description}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="summary-header">
+          <div>
+            <h2 style={{ marginBottom: 'var(--space-2)' }}>
+              📊 Overall Assessment
+            </h2>
+            <p>
+              {assessment
+                ? assessment.summary
+                : `This call with ${call.customer} has not been reviewed yet. Stage breakdown, stats and topics below are computed from the transcript.`}
+            </p>
+          </div>
+          <div className="summary-actions">
+            <div className="summary-score has-tooltip" data-tooltip={describeCallScore(callScore)}>
+              <span className={`summary-score-value ${callScore.status}`}>
+                {callScore.overallScore ?? '—'}
+              </span>
+              <span className="summary-score-max">/10</span>
+            </div>
+            <div className="summary-buttons">
+              <button className="section-toggle" onClick={() => toggleReport(true)} title="Printable review of every stage">
+                🖨️ Generate report
+              </button>
+              <ExportMenu onExport={exportCall} />
+            </div>
+          </div>
+        </div>
+
+        {/* Assessment Layout - Context on left, Scores on right */}
+        <div className="assessment-layout">
+          {/* Left column - Context cards 2x2 */}
+          {assessment ? (
+            <div className="call-context-grid">
+              <div className="context-card">
+                <h4>🔧 Prior Visit</h4>
+                <div className="context-detail">
+                  <span>{assessment.callContext.priorVisit}</span> <strong>{assessment.callContext.priorVisitNote}</strong>
+                </div>
+                <div className="context-detail">
+                  <span>Repair Payment:</span> <strong>{assessment.callContext.repairPayment}</strong>
+                </div>
+                <div className="context-detail">
+                  <span>Customer Concern:</span> <strong>{assessment.callContext.customerConcern}</strong>
+                </div>
+              </div>
+              <div className="context-card">
+                <h4>🏷️ Options Presented</h4>
+                <ul className="options-list">
+                  {assessment.optionsPresented.map((opt, idx) => (
+                    <li key={idx} className={opt.status.includes('finalist') ? 'finalist' : opt.status.includes('rejected') ? 'rejected' : ''}>
+                      <span>{opt.name}:</span>
+                      <strong className="option-status">{opt.status}</strong>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <RebatesCard incentives={pricing.incentives} total={pricing.incentiveTotal} onCite={citeEntities} />
+              <div className="context-card highlight">
+                <h4>🤝 Call Outcome</h4>
+                <div className="closing-detail">
+                  <span>Repair Payment:</span> <strong>{assessment.closingStructure.repairPayment}</strong>
+                </div>
+                <div className="closing-detail">
+                  <span>Commitment:</span> <strong style={{ color: '#dc2626' }}>{assessment.closingStructure.commitment}</strong>
+                </div>
+                <div className="closing-detail">
+                  <span>Credit Offer:</span> <strong>{assessment.closingStructure.creditOffer}</strong>
+                </div>
+                <div className="closing-detail">
+                  <span>Next Step:</span> <strong>{assessment.closingStructure.nextStep}</strong>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="call-context-grid pending">
+              <div className="context-card">
+                <h4>📝 Awaiting Review</h4>
+                <p>No reviewer assessment has been recorded for this call yet.</p>
+              </div>
+              <RebatesCard incentives={pricing.incentives} total={pricing.incentiveTotal} onCite={citeEntities} />
+            </div>
+          )}
+
+          {/* Right column - Scorecard */}
+          <div className="scorecard">
+            {callStages.map((stage) => (
+              <div key={stage.id} className={`scorecard-item ${stage.status}`} title={describeStageScore(stage)}>
+                <span className="scorecard-icon">{stage.icon}</span>
+                <div className="scorecard-info">
+                  <div className="scorecard-name">{stage.name}</div>
+                  <div className="scorecard-score">{stage.score ?? '—'}/10</div>
+                  <div className="scorecard-derivation">
+                    {stage.scoreDetails.passedCount}/{stage.scoreDetails.itemCount} checks · {stage.scoreDetails.earned}/{stage.scoreDetails.possible} pts
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Extracted pricing */}
+        <div className="pricing-grid">
+          <PricingCard pricing={pricing} onCite={citeEntities} />
+          <FinancingCheckCard check={financingCheck} onCite={citeEntities} />
+        </div>
+
+        {/* Customer objections and the commitments made in response */}
+        <div className="follow-through-grid">
+          <ObjectionLogCard
+            objections={objections}
+            sentences={sentences}
+            speakerName={speakerName}
+            onCite={focusRanges}
+          />
+          <ActionItemsCard items={actionItems} sentences={sentences} call={call} onCite={focusRanges} />
+        </div>
+
+        {/* Stats Strip */}
+        <div className="stats-strip">
+          <div className="stat-pill-group">
+            <span className="stat-pill">📊 {stats?.totalSentences} sentences</span>
+            <span className="stat-pill">⏱️ {formatMinutes(stats?.callDuration)}min</span>
+            <span
+              className="stat-pill has-tooltip"
+              data-tooltip="Average of all sentence confidence scores (0.0-1.0) from the transcription, showing how sure the speech-to-text model is that the transcript is correct. Imported transcripts without scores count as 90%. Above 85% is high accuracy."
+            >
+              🎯 {stats?.avgConfidence}% quality
+            </span>
+          </div>
+          <div className="talk-time-compact">
+            <span className="talk-time-label">🗣️ Talk Time:</span>
+            <div className="talk-time-bar-compact">
+              {stats?.speakers.map(({ speaker, percent }) => (
+                <div
+                  key={speaker}
+                  className={`talk-time-segment speaker-${speakerColor(speaker)}`}
+                  style={{ width: `${percent}%` }}
+                  title={`${speakerName(speaker)} ${percent}%`}
+                />
+              ))}
+            </div>
+            <span className="talk-time-values">
+              {stats?.speakers.map(({ speaker, percent }) => (
+                <span key={speaker} className={`speaker-${speakerColor(speaker)}-text`}>
+                  {speakerName(speaker)} {percent}%
+                </span>
+              ))}
+            </span>
+            <button
+              className={`section-toggle ${speakerEditorOpen ? 'active' : ''}`}
+              onClick={() => setSpeakerEditorOpen((open) => !open)}
+              title="Edit speaker names and roles"
+            >
+              ✏️ Speakers
+            </button>
+          </div>
+        </div>
+        {speakerEditorOpen && stats && (
+          <SpeakerEditor
+            profiles={speakerProfiles}
+            stats={stats.speakers}
+            names={speakerOverrides.names}
+            isEdited={Object.values(speakerOverrides).some((edits) => Object.keys(edits).length > 0)}
+            onRename={(speaker, name) => updateSpeaker('names', speaker, name)}
+            onRoleChange={(speaker, role) => updateSpeaker('roles', speaker, role)}
+            onReset={resetSpeakers}
+          />
+        )}
+
+        {/* Conversation Dynamics */}
+        <div className="dynamics-strip">
+          <span className="strip-label">Dynamics:</span>
+          <DynamicsMetrics dynamics={callDynamics} speakerName={speakerName} onFocus={focusRanges} compact />
+        </div>
+
+        {/* Outcomes Strip */}
+        {assessment && (
+          <div className="outcomes-strip">
+            <span className="strip-label">Outcomes:</span>
+            <div className="outcome-badges">
+              {assessment.outcomes.map((outcome) => (
+                <span key={outcome.label} className={`outcome-badge ${outcome.achieved ? 'win' : 'miss'}`}>
+                  {outcome.achieved ? '✓' : '✗'} {outcome.label}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </section>
+
+      {/* Stage Navigation */}
+      <nav className="stage-nav">
+        {callStages.map((stage) => (
+          <button
+            key={stage.id}
+            className={`stage-btn ${activeStage === stage.id ? 'active' : ''}`}
+            onClick={() => handleStageChange(stage.id)}
+            title={describeStageScore(stage)}
+          >
+            <span>{stage.icon}</span>
+            <span>{stage.name}</span>
+            <span className="score">{stage.score ?? '—'}/10</span>
+          </button>
+        ))}
+      </nav>
+
+      {/* Timeline Progress Bar */}
+      <div className="timeline-container">
+        <AudioPlayer
+          src={audioSrc}
+          audioRef={audioRef}
+          onTimeChange={handleTimeChange}
+          onAttachFile={attachAudioFile}
+          followPlayback={followPlayback}
+          onFollowPlaybackChange={setFollowPlayback}
+        />
+        <div className="timeline-track" ref={timelineTrackRef}>
+          <div className="timeline-bar">
+            {callStages.map((stage) => (
+              <div
+                key={stage.id}
+                className={`timeline-segment ${activeStage === stage.id ? 'active' : ''} ${stage.adjusted ? 'adjusted' : ''}`}
+                style={{
+                  width: `${stage.endPercent - stage.startPercent}%`,
+                  left: `${stage.startPercent}%`,
+                }}
+                onClick={() => handleStageChange(stage.id)}
+                title={stage.boundaryCue
+                  ? `${stage.name} — starts at "${stage.boundaryCue}"${stage.adjusted ? ' (moved by a reviewer)' : ''}`
+                  : stage.name}
+              >
+                <div className="timeline-segment-fill" />
+              </div>
+            ))}
+            {playbackTime != null && stats?.callDuration > 0 && (
+              <div
+                className="timeline-playhead"
+                style={{
+                  left: `${Math.min(100, Math.max(0, ((playbackTime - stats.callStart) / stats.callDuration) * 100))}%`,
+                }}
+              />
+            )}
+          </div>
+          {stats?.callDuration > 0 && sentences.length >= callStages.length && (
+            <StageBoundaryHandles
+              stages={callStages}
+              sentences={sentences}
+              callStart={stats.callStart}
+              callDuration={stats.callDuration}
+              trackRef={timelineTrackRef}
+              onDrag={dragStageBoundary}
+              onDrop={dropStageBoundary}
+              onCancel={cancelStageBoundaryDrag}
+            />
+          )}
+        </div>
+        {visibleAnnotations.length > 0 && stats?.callDuration > 0 && (
+          <div className="timeline-annotations">
+            {visibleAnnotations.map((annotation, idx) => (
+              <button
+                key={annotation.id}
+                className={`timeline-annotation tag-${annotation.tag} ${annotation.id === activeAnnotationId ? 'active' : ''}`}
+                style={{ left: `${((annotation.sentence.start - stats.callStart) / stats.callDuration) * 100}%` }}
+                onClick={() => focusAnnotations(visibleAnnotations, idx)}
+                title={`${formatTime(annotation.sentence.start)} · ${ANNOTATION_TAGS[annotation.tag]?.label} · ${annotation.author}: ${annotation.comments[0].text}`}
+              />
+            ))}
+          </div>
+        )}
+        <div className="timeline-label">
+          <span>{formatTime(stats?.callStart ?? 0)}</span>
+          <span className="timeline-current">
+            {formatTime(currentStage?.startTime ?? 0)} - {formatTime(currentStage?.endTime ?? 0)}
+            {' '}({currentStage?.startPercent.toFixed(1)}% - {currentStage?.endPercent.toFixed(1)}%)
+          </span>
+          <span>{formatTime(stats?.callEnd ?? 0)}</span>
+        </div>
+        {(boundariesAdjusted || stageBoundaries.history.length > 0) && (
+          <div className="timeline-boundary-actions">
+            {boundariesAdjusted && <span>✋ Stage boundaries adjusted by hand</span>}
+            <button
+              onClick={() => updateStageBoundaries(undoBoundaryChange(stageBoundaries))}
+              disabled={stageBoundaries.history.length === 0}
+              title="Undo the last boundary change"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={() => updateStageBoundaries(resetStageBoundaries(stageBoundaries))}
+              disabled={!boundariesAdjusted}
+              title="Go back to the detected boundaries"
+            >
+              Reset to detected
+            </button>
+          </div>
+        )}
+      </div>
+
+      <TranscriptSearch
+        sentences={sentences}
+        stages={callStages}
+        speakerName={speakerName}
+        speakerColor={speakerColor}
+        activeSentenceIdx={activeCitations?.matches[activeCitations.currentIndex]?.sentenceIdx}
+        onSelect={selectSearchResult}
+      />
+
+      {/* Two Column Layout */}
+      <div className="two-column">
+        {/* Transcript Panel */}
+        <section className="section">
+          <div className="section-header">
+            <h3 className="section-title">
+              📝 Transcript — {currentStage?.name}
+            </h3>
+            <div className="section-header-right">
+              {activeCitations && (
+                <div className="citation-indicator">
+                  <span className="citation-count">
+                    {activeCitations.currentIndex + 1} / {activeCitations.matches.length}
+                  </span>
+                  <button 
+                    className="citation-nav-btn"
+                    onClick={() => navigateCitation('prev')}
+                    disabled={activeCitations.matches.length <= 1}
+                    title="Previous quote"
+                  >
+                    ←
+                  </button>
+                  <button 
+                    className="citation-nav-btn"
+                    onClick={() => navigateCitation('next')}
+                    disabled={activeCitations.matches.length <= 1}
+                    title="Next quote"
+                  >
+                    →
+                  </button>
+                  <button 
+                    className="citation-close-btn"
+                    onClick={closeCitations}
+                    title="Close citations"
+                  >
+                    ✕
+                  </button>
+                </div>
+              )}
+              <button
+                className={`section-toggle ${showConfidence ? 'active' : ''}`}
+                onClick={() => setShowConfidence(!showConfidence)}
+                title="Tint each word by ASR confidence: amber below 90%, red below 70%"
+              >
+                🎨 Confidence
+              </button>
+              <button
+                className={`section-toggle ${reviewOpen ? 'active' : ''}`}
+                onClick={toggleReview}
+                title="Step through sentences the transcription was unsure about"
+              >
+                🔎 Review ({reviewQueue.length})
+              </button>
+              <button
+                className={`section-toggle ${correcting ? 'active' : ''}`}
+                onClick={toggleCorrecting}
+                title="Correct sentence text and speakers, split or merge sentences"
+              >
+                ✍️ Correct{activeRevisions.length > 0 && ` (${activeRevisions.length})`}
+              </button>
+              <button
+                className={`section-toggle ${notesOpen ? 'active' : ''}`}
+                onClick={() => setNotesOpen(!notesOpen)}
+                title="Reviewer notes on this call, filterable by tag and author"
+              >
+                💬 Notes ({resolvedAnnotations.length})
+              </button>
+              <span className="badge badge-teal">
+                {stageGroups[activeStage]?.sentences.length} sentences
+              </span>
+            </div>
+          </div>
+          {reviewOpen && (
+            <ConfidenceReview
+              queue={reviewQueue}
+              reviews={reviews}
+              position={Math.min(reviewPosition, Math.max(0, reviewQueue.length - 1))}
+              threshold={reviewThreshold}
+              onThresholdChange={changeReviewThreshold}
+              onStep={stepReview}
+              onReview={recordReview}
+              onListen={audioSrc ? listenToSentence : null}
+              speakerName={speakerName}
+            />
+          )}
+          {correcting && (
+            <RevisionLog
+              revisions={revisions}
+              activeCount={activeRevisions.length}
+              author={annotationAuthor}
+              onAuthorChange={changeAnnotationAuthor}
+              onUndo={undoRevision}
+              onRestore={restoreAsrTranscript}
+              onSelect={selectRevision}
+              speakerName={speakerName}
+            />
+          )}
+          {notesOpen && (
+            <AnnotationList
+              annotations={resolvedAnnotations}
+              visible={visibleAnnotations}
+              filter={annotationFilter}
+              onFilterChange={setAnnotationFilter}
+              activeId={activeAnnotationId}
+              onSelect={focusAnnotations}
+              speakerName={speakerName}
+            />
+          )}
+          <div
+            className="transcript-container"
+            ref={transcriptContainerRef}
+            onMouseUp={editingAnalysis ? () => setTranscriptSelection(getSelectedTranscriptParts(transcriptContainerRef.current)) : undefined}
+          >
+            {stageGroups[activeStage]?.sentences.map((sentence, idx) => {
+              const globalIdx = getGlobalSentenceIndex(idx);
+              const isHighlighted = isSentenceHighlighted(globalIdx);
+              const isCurrent = isSentenceCurrent(globalIdx);
+              const isPlaying = globalIdx === playingSentenceIdx;
+              const review = reviews[getReviewKey(sentence)];
+              const citedRanges = citedWordRanges[globalIdx];
+              // Word-by-word rendering (playback, confidence, citations) keeps keyword colors
+              const wordKeywords = isPlaying || showConfidence || citedRanges
+                ? findKeywordWords(sentence, compiledKeywords)
+                : null;
+              const sentenceNotes = annotationsBySentence[globalIdx] || [];
+              
+              return (
+                <div
+                  key={idx}
+                  ref={(el) => { sentenceRefs.current[globalIdx] = el; }}
+                  className={`transcript-sentence ${isHighlighted ? 'citation-highlighted' : ''} ${
+                    isCurrent ? 'citation-current' : ''
+                  } ${isPlaying ? 'playing' : ''} ${audioSrc ? 'seekable' : ''}`}
+                  onClick={audioSrc ? () => seekTo(sentence.start) : undefined}
+                >
+                  <div className="sentence-time">
+                    {formatTime(sentence.start)}
+                  </div>
+                  <div className="sentence-content">
+                    <div
+                      className={`sentence-speaker speaker-${speakerColor(sentence.speaker)}`}
+                    >
+                      {speakerName(sentence.speaker)}
+                      <span className="sentence-speaker-role">
+                        {SPEAKER_ROLES[speakerProfiles[sentence.speaker]?.role]}
+                      </span>
+                      {review && (
+                        <span className={`sentence-review-mark ${review.status}`} title={`Reviewed: ${review.status}`}>
+                          {review.status === 'confirmed' ? '✓' : '✎'}
+                        </span>
+                      )}
+                      {sentence.corrected && (
+                        <span
+                          className="sentence-corrected-mark"
+                          title={`Corrected. ASR: ${speakerName(sentence.original.speaker)}: "${sentence.original.text}"`}
+                        >
+                          ✍️
+                        </span>
+                      )}
+                      {correcting && (
+                        <button
+                          className="sentence-edit-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setEditingSentenceIdx(editingSentenceIdx === globalIdx ? null : globalIdx);
+                          }}
+                          title="Correct this sentence"
+                        >
+                          ✎
+                        </button>
+                      )}
+                      <button
+                        className={`sentence-note-btn ${sentenceNotes.length > 0 ? 'has-notes' : ''}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setNoteSentenceIdx(noteSentenceIdx === globalIdx ? null : globalIdx);
+                        }}
+                        title={sentenceNotes.length > 0 ? 'Show notes on this sentence' : 'Add a note'}
+                      >
+                        💬{sentenceNotes.length > 0 && ` ${sentenceNotes.length}`}
+                      </button>
+                    </div>
+                    {wordKeywords ? (
+                      <div className="sentence-text">
+                        {sentence.words.map((word, wordIdx) => (
+                          <span
+                            key={wordIdx}
+                            className={`transcript-word ${
+                              showConfidence ? `confidence-${getConfidenceLevel(word.confidence).level}` : ''
+                            } ${citedRanges?.some(([from, to]) => wordIdx >= from && wordIdx < to) ? 'cited' : ''} ${
+                              isPlaying && wordIdx === playingWordIdx ? 'active' : ''
+                            } ${wordKeywords[wordIdx] ? 'keyword-word' : ''}`}
+                            style={wordKeywords[wordIdx] ? { color: wordKeywords[wordIdx].color } : undefined}
+                            title={showConfidence ? `${Math.round(word.confidence * 100)}% confidence` : undefined}
+                          >
+                            {word.text}{' '}
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <div
+                        className="sentence-text"
+                        dangerouslySetInnerHTML={{
+                          __html: highlightKeywords(sentence.text),
+                        }}
+                      />
+                    )}
+                    {review?.status === 'corrected' && (
+                      <div className="sentence-correction">✎ {review.correction}</div>
+                    )}
+                    {correcting && sentence.corrected && (
+                      <div className="sentence-original">
+                        ASR: {sentence.original.speaker !== sentence.speaker && `${speakerName(sentence.original.speaker)}: `}
+                        "{sentence.original.text}"
+                      </div>
+                    )}
+                    {correcting && editingSentenceIdx === globalIdx && (
+                      <SentenceEditor
+                        key={`${sentence.start}-${revisions.length}`}
+                        sentence={sentence}
+                        nextSentence={sentences[globalIdx + 1]}
+                        speakers={asrSpeakers}
+                        speakerName={speakerName}
+                        canEdit={Boolean(annotationAuthor.trim())}
+                        onRevise={(changes) => reviseSentence(globalIdx, changes)}
+                        onClose={() => setEditingSentenceIdx(null)}
+                      />
+                    )}
+                    {sentenceNotes.length > 0 && noteSentenceIdx !== globalIdx && (
+                      <div className="sentence-notes">
+                        {sentenceNotes.map((annotation) => (
+                          <button
+                            key={annotation.id}
+                            className={`sentence-note tag-${annotation.tag}`}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setNoteSentenceIdx(globalIdx);
+                            }}
+                            title={`${ANNOTATION_TAGS[annotation.tag]?.label} · "${annotation.quote}"`}
+                          >
+                            {ANNOTATION_TAGS[annotation.tag]?.icon} <strong>{annotation.author}:</strong> {annotation.comments[0].text}
+                            {annotation.comments.length > 1 && ` (+${annotation.comments.length - 1})`}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {noteSentenceIdx === globalIdx && (
+                      <SentenceAnnotations
+                        sentence={sentence}
+                        annotations={resolvedAnnotations.filter((annotation) => annotation.sentenceIdx === globalIdx)}
+                        author={annotationAuthor}
+                        onAuthorChange={changeAnnotationAuthor}
+                        onAdd={addAnnotation}
+                        onReply={replyToAnnotation}
+                        onDelete={deleteAnnotation}
+                        onFocus={(annotation) => focusAnnotations([annotation], 0)}
+                        onClose={() => setNoteSentenceIdx(null)}
+                      />
+                    )}
+                  </div>
+                  {isHighlighted && (
+                    <div className="citation-badge">
+                      📌
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+            {stageGroups[activeStage]?.sentences.length === 0 && (
+              <p style={{ padding: 'var(--space-4)', color: 'var(--text-tertiary)' }}>
+                No sentences in this stage range.
+              </p>
+            )}
+          </div>
+        </section>
+
+        {/* Analysis Panel */}
+        <section className="section">
+          <div className="section-header">
+            <h3 className="section-title">🔍 Analysis <span style={{ fontSize: '0.75rem', color: 'var(--text-tertiary)', fontWeight: 'normal' }}>(click bullet points)</span></h3>
+            <div className="section-header-right">
+              {currentStage?.analysis.edited && !editingAnalysis && (
+                <button
+                  className={`section-toggle ${showAnalysisChanges ? 'active' : ''}`}
+                  onClick={() => setShowAnalysisChanges(!showAnalysisChanges)}
+                  title="Compare this stage's edits with the generated analysis"
+                >
+                  ⇄ Changes
+                </button>
+              )}
+              <button
+                className={`section-toggle ${editingAnalysis ? 'active' : ''}`}
+                onClick={toggleAnalysisEditor}
+                title="Add, edit, reorder or delete this stage's strengths, gaps and key quote"
+              >
+                ✏️ Edit
+              </button>
+            </div>
+          </div>
+          <div className="section-body">
+            <div className="analysis-panel">
+              <div className="analysis-header">
+                <span className="analysis-icon">{currentStage?.icon}</span>
+                <div className="analysis-title-section">
+                  <h4 className="analysis-title">{currentStage?.name}</h4>
+                  <p className="analysis-subtitle">
+                    {currentStage?.description}
+                  </p>
+                </div>
+                <div className={`score-badge ${currentStage?.status}`}>
+                  <span className="score-value">{currentStage?.score ?? '—'}/10</span>
+                  <span className="score-label">{currentStage?.status}</span>
+                </div>
+              </div>
+
+              {currentStage?.analysis.edited && (
+                <p className="analysis-edited-note">✎ Edited by a reviewer</p>
+              )}
+              {showAnalysisChanges && analysisEdits[activeStage] && (
+                <AnalysisChanges edit={analysisEdits[activeStage]} />
+              )}
+
+              {editingAnalysis ? (
+                <AnalysisEditor
+                  key={activeStage}
+                  stage={currentStage}
+                  selection={transcriptSelection}
+                  isEdited={Boolean(analysisEdits[activeStage])}
+                  onSave={saveAnalysisEdit}
+                  onRevert={revertAnalysisEdit}
+                  onCancel={toggleAnalysisEditor}
+                />
+              ) : (
+                <>
+                  <AnalysisItemList
+                    kind="strengths"
+                    items={currentStage?.analysis.strengths || []}
+                    itemMatches={stageItemMatches}
+                    activeItemText={activeCitations?.itemText}
+                    onCitationClick={handleCitationClick}
+                  />
+                  <AnalysisItemList
+                    kind="gaps"
+                    items={currentStage?.analysis.gaps || []}
+                    itemMatches={stageItemMatches}
+                    activeItemText={activeCitations?.itemText}
+                    onCitationClick={handleCitationClick}
+                  />
+                </>
+              )}
+
+              <div className="analysis-section">
+                <h5 className="analysis-section-title">
+                  ❓ Questions
+                </h5>
+                <QuestionList
+                  questions={currentStage?.questions || []}
+                  speakerName={speakerName}
+                  activeCitations={activeCitations}
+                  onSelect={selectQuestion}
+                />
+              </div>
+
+              {currentStage?.dynamics && (
+                <div className="analysis-section">
+                  <h5 className="analysis-section-title">
+                    🗣️ Conversation Dynamics
+                  </h5>
+                  <DynamicsMetrics dynamics={currentStage.dynamics} speakerName={speakerName} onFocus={focusRanges} />
+                </div>
+              )}
+
+              {currentStage?.analysis.checklist.length > 0 && (
+                <div className="analysis-section">
+                  <h5 className="analysis-section-title">
+                    📐 Score Breakdown
+                  </h5>
+                  <ul className="score-breakdown">
+                    {currentStage.analysis.checklist.map((item) => (
+                      <li key={item.id} className={item.passed ? 'passed' : 'failed'}>
+                        <span className="score-breakdown-mark">{item.passed ? '✓' : '✗'}</span>
+                        <span className="score-breakdown-label">{item.label}</span>
+                        <span className="score-breakdown-points">
+                          {item.passed ? item.weight : 0}/{item.weight}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="score-breakdown-total">{describeStageScore(currentStage)}</p>
+                </div>
+              )}
+
+              {!editingAnalysis && currentStage?.analysis.keyQuote && (
+                <div className="analysis-section">
+                  <h5 className="analysis-section-title">
+                    💬 Key Quote
+                  </h5>
+                  <blockquote className="quote-block">
+                    "{currentStage?.analysis.keyQuote}"
+                    <div className="quote-attribution">
+                      — From the {currentStage?.name} stage
+                    </div>
+                  </blockquote>
+                </div>
+              )}
+            </div>
+          </div>
+        </section>
+      </div>
+
+      {/* Keywords Section */}
+      <section className="section" style={{ marginBottom: 'var(--space-8)' }}>
+        <div className="section-header">
+          <h3 className="section-title">🏷️ Topics Discussed</h3>
+          <button
+            className={`section-toggle ${keywordManagerOpen ? 'active' : ''}`}
+            onClick={() => setKeywordManagerOpen(!keywordManagerOpen)}
+          >
+            ✏️ Manage keywords
+          </button>
+        </div>
+        <div className="section-body">
+          {keywordManagerOpen && (
+            <KeywordManager
+              taxonomy={taxonomy}
+              onSave={(next) => {
+                onTaxonomyChange(next)
+                  .catch((err) => console.error('Error saving keyword taxonomy:', err));
+                setKeywordManagerOpen(false);
+              }}
+              onClose={() => setKeywordManagerOpen(false)}
+            />
+          )}
+          <div className="keywords-grid">
+            {Object.entries(keywords)
+              .sort((a, b) => b[1].count - a[1].count)
+              .map(([kw, data]) => (
+                <div
+                  key={kw}
+                  className="keyword-tag"
+                  title={data.categoryName}
+                  style={{
+                    background: `${data.color}15`,
+                    color: data.color,
+                    borderColor: `${data.color}30`,
+                  }}
+                >
+                  <span>{kw}</span>
+                  <span className="keyword-count">{data.count}×</span>
+                </div>
+              ))}
+          </div>
+          <h5 className="analysis-section-title keyword-timeline-title">
+            📈 Mentions Over Time <span className="keyword-timeline-hint">(click a marker to jump to it)</span>
+          </h5>
+          <KeywordTimeline
+            keywords={keywords}
+            stages={callStages}
+            callStart={stats?.callStart ?? 0}
+            callDuration={stats?.callDuration ?? 0}
+            speakerName={speakerName}
+            speakerColor={speakerColor}
+            isActiveMention={isActiveMention}
+            onSelectMention={selectKeywordMention}
+          />
+        </div>
+      </section>
+    </main>
+  );
+}
+
+export default CallDashboard;
@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { formatTime } from '../utils/dataAnalysis';
+import { formatCallDate } from '../utils/callLibrary';
+import TranscriptImport from './TranscriptImport';
+
+// List view of every call in the library, newest first
+function CallLibrary({ calls, onSelect, onImport, onRemove }) {
+  const sortedCalls = [...calls].sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  const [removeError, setRemoveError] = useState(null);
+
+  // Removing an imported call cannot be undone, so ask first
+  const removeCall = async (call) => {
+    if (!window.confirm(`Remove "${call.title}" from the library? This cannot be undone.`)) return;
+    try {
+      await onRemove(call.id);
+      setRemoveError(null);
+    } catch (err) {
+      console.error(`Error removing ${call.id}:`, err);
+      setRemoveError(`Could not remove "${call.title}": ${err.message}`);
+    }
+  };
+
+  return (
+    <main className="main-content">
+      <section className="section call-library">
+        <div className="section-header">
+          <h3 className="section-title">📚 Call Library</h3>
+          <span className="badge badge-teal">{calls.length} calls</span>
+        </div>
+        <TranscriptImport onImport={onImport} />
+        {removeError && <p className="call-library-error">{removeError}</p>}
+        <div className="call-library-table">
+          <div className="call-library-row call-library-head">
+            <span>Date</span>
+            <span>Call</span>
+            <span>Technician</span>
+            <span>Customer</span>
+            <span>Duration</span>
+          </div>
+          {sortedCalls.map((call) => (
+            <div key={call.id} className="call-library-item">
+              <button
+                className="call-library-row"
+                onClick={() => onSelect(call.id)}
+              >
+                <span className="mono">{formatCallDate(call.date)}</span>
+                <span className="call-library-title">
+                  {call.title}
+                  {call.imported && <span className="badge badge-orange">imported</span>}
+                </span>
+                <span>{call.technician}</span>
+                <span>{call.customer}</span>
+                <span className="mono">
+                  {call.error ? '⚠️ unavailable' : call.duration != null ? formatTime(call.duration) : '…'}
+                </span>
+              </button>
+              {call.imported && (
+                <button
+                  className="call-library-remove"
+                  onClick={() => removeCall(call)}
+                  title="Remove imported call"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+          ))}
+          {calls.length === 0 && (
+            <p className="call-library-empty">No calls available yet.</p>
+          )}
+        </div>
+      </section>
+    </main>
+  );
+}
+
+export default CallLibrary;
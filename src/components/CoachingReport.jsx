@@ -0,0 +1,157 @@
+import { formatTime, formatMinutes } from '../utils/dataAnalysis';
+import { describeStageScore, describeCallScore } from '../utils/scoring';
+import { formatCallDate } from '../utils/callLibrary';
+import PricingCard from './PricingCard';
+import RebatesCard from './RebatesCard';
+
+// The report is static; extracted values keep their chip styling but don't cite anything
+const noCite = () => {};
+
+// Quoted sentences behind one strength or gap, with timestamps and speakers
+function ReportQuotes({ matches, sentences, speakerName }) {
+  return (
+    <ul className="report-quotes">
+      {matches.map((match) => {
+        const quoted = match.spans.map((span) => sentences[span.sentenceIdx]);
+        return (
+          <li key={match.sentenceIdx}>
+            <span className="mono">{formatTime(match.sentence.start)}</span>{' '}
+            <span className="report-quote-speaker">{speakerName(match.sentence.speaker)}:</span>{' '}
+            "{quoted.map((s) => s.text).join(' ')}"
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Printable coaching review covering every stage at once. The browser's print dialog
+// ("Save as PDF") turns it into a shareable file; the toolbar is left off the page.
+function CoachingReport({
+  call,
+  sentences,
+  assessment,
+  callStages,
+  callScore,
+  callDuration,
+  pricing,
+  findCitations,
+  speakerName,
+  onClose,
+}) {
+  const renderItems = (stage, items, kind) => {
+    if (items.length === 0) {
+      return <p className="report-empty">{kind === 'strengths' ? 'No strengths recorded.' : 'No areas for improvement.'}</p>;
+    }
+    return (
+      <ul className={`report-items ${kind}`}>
+        {items.map((item, idx) => {
+          const itemData = typeof item === 'string' ? { text: item, citations: [] } : item;
+          const matches = findCitations(stage.id, itemData.citations);
+          return (
+            <li key={idx}>
+              <span className="report-item-text">{itemData.text}</span>
+              {matches.length > 0 ? (
+                <ReportQuotes matches={matches} sentences={sentences} speakerName={speakerName} />
+              ) : (
+                itemData.citations.length === 0 && <span className="report-item-note"> — identified by absence of evidence</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="coaching-report">
+      <div className="coaching-report-toolbar">
+        <button className="section-toggle" onClick={onClose}>← Back to dashboard</button>
+        <button className="section-toggle active" onClick={() => window.print()}>🖨️ Print / Save as PDF</button>
+      </div>
+
+      <header className="report-header">
+        <div>
+          <h1>Coaching Report</h1>
+          <p className="report-meta">
+            {call.title || call.id} · {formatCallDate(call.date)} · {formatMinutes(callDuration)} min
+            {call.technician && ` · Technician: ${call.technician}`}
+            {call.customer && ` · Customer: ${call.customer}`}
+          </p>
+        </div>
+        <div className="report-overall" title={describeCallScore(callScore)}>
+          <span className={`report-overall-value ${callScore.status}`}>{callScore.overallScore ?? '—'}</span>
+          <span className="report-overall-max">/10</span>
+        </div>
+      </header>
+
+      {assessment ? (
+        <section className="report-section">
+          <h2>📞 {assessment.callType.primary}</h2>
+          <p>{assessment.callType.description}</p>
+          <p>{assessment.summary}</p>
+          <div className="outcome-badges">
+            {assessment.outcomes.map((outcome) => (
+              <span key={outcome.label} className={`outcome-badge ${outcome.achieved ? 'win' : 'miss'}`}>
+                {outcome.achieved ? '✓' : '✗'} {outcome.label}
+              </span>
+            ))}
+          </div>
+        </section>
+      ) : (
+        <section className="report-section">
+          <p>This call has not been reviewed yet; everything below is computed from the transcript.</p>
+        </section>
+      )}
+
+      <section className="report-section">
+        <h2>Stage Scores</h2>
+        <table className="report-scores">
+          <thead>
+            <tr>
+              <th>Stage</th>
+              <th>Time</th>
+              <th>Score</th>
+              <th>Checks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {callStages.map((stage) => (
+              <tr key={stage.id} className={stage.status}>
+                <td>{stage.icon} {stage.name}</td>
+                <td className="mono">{formatTime(stage.startTime)}–{formatTime(stage.endTime)}</td>
+                <td className="mono">{stage.score ?? '—'}/10</td>
+                <td>{describeStageScore(stage)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className="report-section report-cards">
+        <PricingCard pricing={pricing} onCite={noCite} />
+        <RebatesCard incentives={pricing.incentives} total={pricing.incentiveTotal} onCite={noCite} />
+      </section>
+
+      {callStages.map((stage) => (
+        <section key={stage.id} className="report-section report-stage">
+          <h2>
+            {stage.icon} {stage.name}
+            <span className="report-stage-score">{stage.score ?? '—'}/10</span>
+          </h2>
+          <p className="report-meta">
+            {formatTime(stage.startTime)}–{formatTime(stage.endTime)} · {stage.description}
+          </p>
+          <h3>✅ Strengths</h3>
+          {renderItems(stage, stage.analysis.strengths, 'strengths')}
+          <h3>⚠️ Areas for Improvement</h3>
+          {renderItems(stage, stage.analysis.gaps, 'gaps')}
+        </section>
+      ))}
+
+      <p className="report-footer">Generated {new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</p>
+    </div>
+  );
+}
+
+export default CoachingReport;
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { formatTime } from '../utils/dataAnalysis';
+import { summarizeReviews } from '../utils/confidenceReview';
+
+const STATUS_MARKS = { confirmed: '✓', corrected: '✎' };
+
+// Review queue for low-confidence sentences. The parent owns the queue position
+// so stepping here also focuses the sentence in the transcript.
+function ConfidenceReview({
+  queue,
+  reviews,
+  position,
+  threshold,
+  onThresholdChange,
+  onStep,
+  onReview,
+  onListen,
+  speakerName,
+}) {
+  const [draft, setDraft] = useState(null); // { key, text } while correcting
+  const summary = summarizeReviews(queue, reviews);
+  const item = queue[position];
+  const review = item ? reviews[item.key] : null;
+  const isCorrecting = item && draft?.key === item.key;
+
+  const step = (delta) => {
+    setDraft(null);
+    onStep((position + delta + queue.length) % queue.length);
+  };
+
+  const saveCorrection = () => {
+    const text = draft.text.trim();
+    if (!text) return;
+    onReview(item.key, { status: text === item.sentence.text ? 'confirmed' : 'corrected', correction: text });
+    setDraft(null);
+  };
+
+  return (
+    <div className="confidence-review">
+      <div className="confidence-review-header">
+        <label className="confidence-review-threshold">
+          Below
+          <input
+            type="range"
+            min="0.5"
+            max="0.95"
+            step="0.05"
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+          />
+          <span className="mono">{Math.round(threshold * 100)}%</span>
+        </label>
+        <span className="confidence-review-summary">
+          {queue.length} sentences · {summary.confirmed} confirmed · {summary.corrected} corrected · {summary.pending} pending
+        </span>
+      </div>
+
+      {item ? (
+        <>
+          <div className="confidence-review-current">
+            <div className="confidence-review-meta">
+              <span className="mono">{position + 1} / {queue.length}</span>
+              <span className="mono">{formatTime(item.sentence.start)}</span>
+              <span>{speakerName(item.sentence.speaker)}</span>
+              <span className="confidence-review-score">
+                {Math.round(item.sentence.confidence * 100)}% · {item.lowWordCount} shaky word{item.lowWordCount === 1 ? '' : 's'}
+              </span>
+              {review && (
+                <span className={`confidence-review-status ${review.status}`}>
+                  {STATUS_MARKS[review.status]} {review.status}
+                </span>
+              )}
+            </div>
+            {isCorrecting ? (
+              <textarea
+                className="confidence-review-input"
+                value={draft.text}
+                onChange={(e) => setDraft({ key: item.key, text: e.target.value })}
+                rows={2}
+                autoFocus
+              />
+            ) : (
+              review?.status === 'corrected' && (
+                <p className="confidence-review-correction">Corrected: {review.correction}</p>
+              )
+            )}
+          </div>
+
+          <div className="confidence-review-actions">
+            <button onClick={() => step(-1)} disabled={queue.length <= 1} title="Previous sentence">←</button>
+            <button onClick={() => step(1)} disabled={queue.length <= 1} title="Next sentence">→</button>
+            <button onClick={() => onListen(item)} disabled={!onListen} title={onListen ? 'Play this sentence' : 'Load the call recording to listen'}>
+              ▶ Listen
+            </button>
+            {isCorrecting ? (
+              <>
+                <button className="primary" onClick={saveCorrection}>Save correction</button>
+                <button onClick={() => setDraft(null)}>Cancel</button>
+              </>
+            ) : (
+              <>
+                <button className="primary" onClick={() => onReview(item.key, { status: 'confirmed' })}>✓ Confirm</button>
+                <button onClick={() => setDraft({ key: item.key, text: review?.correction || item.sentence.text })}>
+                  ✎ Correct
+                </button>
+                {review && <button onClick={() => onReview(item.key, null)}>Reset</button>}
+              </>
+            )}
+          </div>
+
+          <div className="confidence-review-queue">
+            {queue.map((entry, idx) => (
+              <button
+                key={entry.key}
+                className={`confidence-review-chip ${reviews[entry.key]?.status || 'pending'} ${idx === position ? 'active' : ''}`}
+                onClick={() => {
+                  setDraft(null);
+                  onStep(idx);
+                }}
+                title={entry.sentence.text}
+              >
+                {formatTime(entry.sentence.start)}
+              </button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p className="confidence-review-empty">No sentences below this confidence threshold.</p>
+      )}
+    </div>
+  );
+}
+
+export default ConfidenceReview;
@@ -0,0 +1,81 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { SILENCE_GAP_MS } from '../utils/conversationDynamics';
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// Conversation dynamics for a stage or the whole call. Metrics tied to places in
+// the transcript are buttons: `onFocus(ranges, label)` highlights those sentence ranges.
+function DynamicsMetrics({ dynamics, speakerName, onFocus, compact = false }) {
+  const { longestMonologue: monologue, customerResponse, longestSilence } = dynamics;
+  const minutes = dynamics.duration / 60000;
+
+  const metrics = [
+    {
+      icon: '🎤',
+      label: 'Longest monologue',
+      value: monologue ? formatTime(monologue.duration) : '—',
+      detail: monologue && `${speakerName(monologue.speaker)} · ${monologue.endIdx - monologue.startIdx + 1} sentences`,
+      ranges: monologue && [{ startIdx: monologue.startIdx, endIdx: monologue.endIdx }],
+    },
+    {
+      icon: '🔁',
+      label: 'Speaker switches',
+      value: dynamics.speakerSwitches,
+      detail: minutes > 0 && `${(dynamics.speakerSwitches / minutes).toFixed(1)} per minute`,
+    },
+    {
+      icon: '✋',
+      label: 'Interruptions',
+      value: dynamics.interruptions.length,
+      detail: dynamics.overlaps.length > 0
+        ? `${dynamics.overlaps.length} overlapping`
+        : dynamics.interruptions.length > 0 && 'cut-off sentences',
+      ranges: dynamics.interruptions.map((i) => ({ startIdx: i.interruptedIdx, endIdx: i.sentenceIdx })),
+    },
+    {
+      icon: '⏳',
+      label: 'Customer response',
+      value: customerResponse ? formatSeconds(customerResponse.average) : '—',
+      detail: customerResponse && `avg of ${customerResponse.count} · slowest ${formatSeconds(customerResponse.longest.latency)}`,
+      ranges: customerResponse && [{
+        startIdx: customerResponse.longest.sentenceIdx - 1,
+        endIdx: customerResponse.longest.sentenceIdx,
+      }],
+    },
+    {
+      icon: '🤫',
+      label: `Silences ≥ ${SILENCE_GAP_MS / 1000}s`,
+      value: dynamics.silences.length,
+      detail: longestSilence && `${formatTime(dynamics.totalSilence)} total · longest ${formatSeconds(longestSilence.duration)}`,
+      ranges: dynamics.silences.map((s) => ({ startIdx: s.afterIdx, endIdx: s.afterIdx + 1 })),
+    },
+  ];
+
+  return (
+    <div className={`dynamics-metrics ${compact ? 'compact' : ''}`}>
+      {metrics.map((metric) => {
+        const content = (
+          <>
+            <span className="dynamics-label">{metric.icon} {metric.label}</span>
+            <span className="dynamics-value">{metric.value}</span>
+            {metric.detail && <span className="dynamics-detail">{metric.detail}</span>}
+          </>
+        );
+        return metric.ranges?.length ? (
+          <button
+            key={metric.label}
+            className="dynamics-metric clickable"
+            onClick={() => onFocus(metric.ranges, metric.label)}
+            title="Show in the transcript"
+          >
+            {content}
+          </button>
+        ) : (
+          <div key={metric.label} className="dynamics-metric">{content}</div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default DynamicsMetrics;
@@ -0,0 +1,37 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/callExport';
+
+// Drop-down of the call's export formats; `onExport(formatId)` builds and saves the file
+function ExportMenu({ onExport }) {
+  const [open, setOpen] = useState(false);
+
+  const choose = (formatId) => {
+    setOpen(false);
+    onExport(formatId);
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className={`section-toggle ${open ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+      >
+        ⬇ Export
+      </button>
+      {open && (
+        <ul className="export-menu-list" role="menu">
+          {Object.entries(EXPORT_FORMATS).map(([id, { label, format }]) => (
+            <li key={id} role="none">
+              <button role="menuitem" onClick={() => choose(id)}>
+                {label} <span className="export-menu-format">{format}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu;
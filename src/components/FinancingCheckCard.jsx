@@ -0,0 +1,110 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { formatDollars } from '../utils/entityExtraction';
+
+const STATUS_ICONS = { ok: '✅', mismatch: '⚠️', incomplete: '❔' };
+
+const formatCents = (value) =>
+  `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPercentChange = (difference) => `${difference > 0 ? '+' : '−'}${Math.abs(difference * 100).toFixed(0)}%`;
+
+// Every monthly payment quoted on the call, recomputed from the price, rate and term
+function FinancingCheckCard({ check, onCite }) {
+  const { principal, offers, quotes, flaggedCount } = check;
+
+  return (
+    <div className="context-card financing-check">
+      <h4>
+        🧮 Financing Check
+        {quotes.length > 0 && (
+          <span className={`financing-check-verdict ${flaggedCount ? 'flagged' : 'clear'}`}>
+            {flaggedCount
+              ? `${flaggedCount} quote${flaggedCount === 1 ? '' : 's'} don't add up`
+              : 'Quotes add up'}
+          </span>
+        )}
+      </h4>
+
+      {principal ? (
+        <div className="financing-check-basis">
+          <span>Amount financed:</span>{' '}
+          <button className="entity-chip" onClick={() => onCite(principal.entities, 0, 'Implied system price')}>
+            {formatDollars(principal.value)}
+          </button>
+          <span className="financing-check-note">implied system price</span>
+        </div>
+      ) : (
+        <p>No system price was stated, so payments can't be checked against it.</p>
+      )}
+
+      {quotes.length === 0 && <p>No monthly payments were quoted on this call.</p>}
+      <ul className="financing-quotes">
+        {quotes.map((quote) => (
+          <li key={quote.id} className={`financing-quote ${quote.status}`}>
+            <div className="financing-quote-header">
+              <span>{STATUS_ICONS[quote.status]}</span>
+              <strong>
+                Quoted {formatDollars(quote.payment.value)}/mo
+                {quote.termMonths && ` × ${quote.termMonths}`}
+                {quote.rate !== null && ` @ ${quote.rate}%`}
+              </strong>
+              <button
+                className="financing-quote-cite"
+                onClick={() => onCite(quote.entities, 0, `Financing quote: ${formatDollars(quote.payment.value)}/mo`)}
+                title={quote.entities.map((e) => `${formatTime(e.time)} — "${e.text}"`).join('\n')}
+              >
+                {formatTime(quote.payment.time)}
+              </button>
+            </div>
+            {quote.expectedPayment !== null && (
+              <div className="financing-quote-math">
+                Should be {formatCents(quote.expectedPayment)}/mo ({formatPercentChange(quote.difference)}) ·
+                total {formatDollars(Math.round(quote.expectedTotal))} vs {formatDollars(quote.quotedTotal)} quoted
+                {quote.downPayment && ` · after ${formatDollars(quote.downPayment.value)} down`}
+              </div>
+            )}
+            {quote.status === 'mismatch' && quote.coveredPrincipal !== null && (
+              <div className="financing-quote-math">
+                At this rate and term, {formatDollars(quote.payment.value)}/mo only pays off{' '}
+                {formatDollars(Math.round(quote.coveredPrincipal))}.
+              </div>
+            )}
+            {quote.reason && <div className="financing-quote-reason">{quote.reason}</div>}
+          </li>
+        ))}
+      </ul>
+
+      {offers.length > 0 && (
+        <table className="financing-offers">
+          <thead>
+            <tr>
+              <th>Offer</th>
+              <th>Payment</th>
+              <th>Total cost</th>
+              <th>Interest</th>
+            </tr>
+          </thead>
+          <tbody>
+            {offers.map((offer) => (
+              <tr key={`${offer.termMonths}-${offer.rate}`}>
+                <td>
+                  <button
+                    className="entity-chip"
+                    onClick={() => onCite([offer.term, offer.rateEntity], 0, `Offer: ${offer.termMonths} mo @ ${offer.rate}%`)}
+                  >
+                    {offer.termMonths} mo @ {offer.rate}%
+                  </button>
+                </td>
+                <td className="mono">{offer.payment === null ? '—' : `${formatCents(offer.payment)}/mo`}</td>
+                <td className="mono">{offer.totalCost === null ? '—' : formatDollars(Math.round(offer.totalCost))}</td>
+                <td className="mono">{offer.totalInterest === null ? '—' : formatDollars(Math.round(offer.totalInterest))}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default FinancingCheckCard;
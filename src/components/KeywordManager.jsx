@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import {
+  DEFAULT_TAXONOMY,
+  validateTaxonomy,
+  taxonomyToJson,
+  readTaxonomyFile,
+} from '../utils/keywordTaxonomy';
+import { downloadFile } from '../utils/download';
+
+// Synonyms are edited as comma-separated text and split again on save
+const toDraft = (taxonomy) => ({
+  ...taxonomy,
+  categories: taxonomy.categories.map((category) => ({
+    ...category,
+    terms: category.terms.map((term) => ({ ...term, synonyms: (term.synonyms || []).join(', '), regex: term.regex || '' })),
+  })),
+});
+
+const fromDraft = (draft) => ({
+  ...draft,
+  categories: draft.categories.map((category) => ({
+    ...category,
+    terms: category.terms.map(({ regex, ...term }) => ({
+      ...term,
+      synonyms: term.synonyms.split(','),
+      ...(regex.trim() ? { regex: regex.trim() } : {}),
+    })),
+  })),
+});
+
+const NEW_TERM = { term: '', synonyms: '', stem: true, regex: '' };
+
+// Editor for the keyword taxonomy: categories with a color, and terms with
+// synonyms, stemming and optional regexes. Changes apply on save.
+function KeywordManager({ taxonomy, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => toDraft(taxonomy));
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const updateCategory = (c, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      categories: prev.categories.map((category, idx) => (idx === c ? { ...category, ...patch } : category)),
+    }));
+  };
+
+  const updateTerm = (c, t, patch) => {
+    const terms = draft.categories[c].terms.map((term, idx) => (idx === t ? { ...term, ...patch } : term));
+    updateCategory(c, { terms });
+  };
+
+  const addCategory = () => {
+    setDraft((prev) => ({
+      ...prev,
+      categories: [
+        ...prev.categories,
+        { id: `category-${Date.now()}`, name: '', color: '#0d9488', terms: [{ ...NEW_TERM }] },
+      ],
+    }));
+  };
+
+  const removeCategory = (c) => {
+    setDraft((prev) => ({ ...prev, categories: prev.categories.filter((_, idx) => idx !== c) }));
+  };
+
+  // Validate the draft, reporting the first problem instead of throwing
+  const validDraft = () => {
+    try {
+      setError(null);
+      return validateTaxonomy(fromDraft(draft));
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleSave = () => {
+    const taxonomyToSave = validDraft();
+    if (taxonomyToSave) onSave(taxonomyToSave);
+  };
+
+  const handleExport = () => {
+    const taxonomyToExport = validDraft();
+    if (taxonomyToExport) downloadFile('keyword-taxonomy.json', taxonomyToJson(taxonomyToExport));
+  };
+
+  const handleImport = async (file) => {
+    try {
+      setDraft(toDraft(await readTaxonomyFile(file)));
+      setError(null);
+      setNotice(`Loaded ${file.name} — review it and save to apply.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="keyword-manager">
+      <div className="keyword-manager-toolbar">
+        <button onClick={addCategory}>+ Add category</button>
+        <button onClick={handleExport}>⬇ Export JSON</button>
+        <label className="keyword-manager-import">
+          ⬆ Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        <button
+          onClick={() => {
+            setDraft(toDraft(DEFAULT_TAXONOMY));
+            setNotice('Defaults restored — save to apply.');
+          }}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      {notice && <p className="keyword-manager-notice">{notice}</p>}
+
+      {draft.categories.map((category, c) => (
+        <div key={category.id} className="keyword-category" style={{ borderLeftColor: category.color }}>
+          <div className="keyword-category-header">
+            <input
+              type="color"
+              value={category.color}
+              onChange={(e) => updateCategory(c, { color: e.target.value })}
+              title="Category color"
+            />
+            <input
+              className="keyword-category-name"
+              value={category.name}
+              placeholder="Category name"
+              onChange={(e) => updateCategory(c, { name: e.target.value })}
+            />
+            <button className="keyword-remove" onClick={() => removeCategory(c)} title="Remove category">
+              ✕
+            </button>
+          </div>
+          <div className="keyword-terms">
+            <div className="keyword-term-row keyword-term-labels">
+              <span>Term</span>
+              <span>Synonyms (comma-separated)</span>
+              <span>Plurals</span>
+              <span>Regex</span>
+              <span />
+            </div>
+            {category.terms.map((term, t) => (
+              <div key={t} className="keyword-term-row">
+                <input
+                  value={term.term}
+                  placeholder="e.g. heat pump"
+                  onChange={(e) => updateTerm(c, t, { term: e.target.value })}
+                />
+                <input
+                  value={term.synonyms}
+                  placeholder="e.g. heatpump, mini split"
+                  onChange={(e) => updateTerm(c, t, { synonyms: e.target.value })}
+                />
+                <input
+                  type="checkbox"
+                  checked={term.stem}
+                  onChange={(e) => updateTerm(c, t, { stem: e.target.checked })}
+                  title="Also match plural and inflected forms (pumps, financed)"
+                />
+                <input
+                  className="mono"
+                  value={term.regex}
+                  placeholder="optional"
+                  onChange={(e) => updateTerm(c, t, { regex: e.target.value })}
+                />
+                <button
+                  className="keyword-remove"
+                  onClick={() => updateCategory(c, { terms: category.terms.filter((_, idx) => idx !== t) })}
+                  title="Remove term"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <button
+              className="keyword-add-term"
+              onClick={() => updateCategory(c, { terms: [...category.terms, { ...NEW_TERM }] })}
+            >
+              + Add term
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {error && <p className="keyword-manager-error">{error}</p>}
+
+      <div className="keyword-manager-actions">
+        <button onClick={onClose}>Cancel</button>
+        <button className="primary" onClick={handleSave}>Save keywords</button>
+      </div>
+    </div>
+  );
+}
+
+export default KeywordManager;
@@ -0,0 +1,81 @@
+import { formatTime } from '../utils/dataAnalysis';
+
+// One lane per mentioned keyword over the length of the call, with a marker per
+// mention (colored by speaker) and the stage bands underneath for reference.
+function KeywordTimeline({
+  keywords,
+  stages,
+  callStart,
+  callDuration,
+  speakerName,
+  speakerColor,
+  isActiveMention,
+  onSelectMention,
+}) {
+  const lanes = Object.entries(keywords)
+    .filter(([, data]) => data.count > 0)
+    .sort((a, b) => b[1].count - a[1].count);
+  const toPercent = (time) => (callDuration > 0 ? ((time - callStart) / callDuration) * 100 : 0);
+
+  if (lanes.length === 0) {
+    return <p className="keyword-timeline-empty">None of the keywords are mentioned in this call.</p>;
+  }
+
+  return (
+    <div className="keyword-timeline">
+      {lanes.map(([term, data]) => (
+        <div key={term} className="keyword-timeline-lane">
+          <span className="keyword-timeline-label" style={{ color: data.color }} title={data.categoryName}>
+            {term}
+          </span>
+          <div className="keyword-timeline-track">
+            {data.mentions.map((mention, idx) => (
+              <button
+                key={mention.sentenceIdx}
+                className={`keyword-timeline-marker speaker-${speakerColor(mention.speaker)} ${
+                  isActiveMention(term, mention.sentenceIdx) ? 'active' : ''
+                }`}
+                style={{ left: `${toPercent(mention.time)}%` }}
+                onClick={() => onSelectMention(term, idx)}
+                title={`${formatTime(mention.time)} · ${speakerName(mention.speaker)}: "${mention.text}"`}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="keyword-timeline-lane keyword-timeline-stages">
+        <span className="keyword-timeline-label">Stages</span>
+        <div className="keyword-timeline-track">
+          {stages.map((stage) => (
+            <div
+              key={stage.id}
+              className="keyword-timeline-stage"
+              style={{ left: `${stage.startPercent}%`, width: `${stage.endPercent - stage.startPercent}%` }}
+              title={`${stage.name} (${formatTime(stage.startTime)} - ${formatTime(stage.endTime)})`}
+            >
+              {stage.icon}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="keyword-timeline-lane keyword-timeline-axis">
+        <span className="keyword-timeline-label" />
+        <div className="keyword-timeline-axis-labels">
+          <span>{formatTime(callStart)}</span>
+          <span className="keyword-timeline-legend">
+            {[...new Set(lanes.flatMap(([, data]) => data.mentions.map((m) => m.speaker)))].sort().map((speaker) => (
+              <span key={speaker}>
+                <span className={`keyword-timeline-swatch speaker-${speakerColor(speaker)}`} /> {speakerName(speaker)}
+              </span>
+            ))}
+          </span>
+          <span>{formatTime(callStart + callDuration)}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KeywordTimeline;
@@ -0,0 +1,85 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { HANDLING_STEPS, OBJECTION_OUTCOMES } from '../utils/objectionDetection';
+
+const OUTCOME_ICONS = { handled: '✅', acknowledged: '⚠️', unanswered: '❌' };
+
+// The objection's sentences, with an ellipsis where others were skipped
+const quoteObjection = (objection, sentences) =>
+  objection.sentenceIdxs
+    .map((idx, k) => (k > 0 && idx > objection.sentenceIdxs[k - 1] + 1 ? '… ' : '') + sentences[idx].text)
+    .join(' ');
+
+// Every customer objection on the call and how the technician responded. Citing an
+// objection steps through the exchange: the objection, then each response that was found.
+function ObjectionLogCard({ objections, sentences, speakerName, onCite }) {
+  const unhandled = objections.filter((o) => o.outcome !== 'handled').length;
+
+  // The objection's sentences as one range, then each response sentence in transcript order
+  const exchangeRanges = (objection) => [
+    { startIdx: objection.sentenceIdxs[0], endIdx: objection.sentenceIdxs[objection.sentenceIdxs.length - 1] },
+    ...[...new Set(Object.keys(HANDLING_STEPS).map((step) => objection.handling[step]))]
+      .filter((idx) => idx !== null)
+      .sort((a, b) => a - b)
+      .map((idx) => ({ startIdx: idx, endIdx: idx })),
+  ];
+
+  const cite = (objection, step) => {
+    const ranges = exchangeRanges(objection);
+    const label = `Objection: ${objection.categories.map((c) => c.name).join(', ')} at ${formatTime(objection.time)}`;
+    const index = step ? ranges.findIndex((r) => r.startIdx === objection.handling[step]) : 0;
+    onCite(ranges, label, index);
+  };
+
+  return (
+    <div className="context-card objection-log">
+      <h4>
+        🛑 Objections
+        {objections.length > 0 && (
+          <span className={`objection-verdict ${unhandled ? 'flagged' : 'clear'}`}>
+            {unhandled ? `${unhandled} of ${objections.length} not handled` : `All ${objections.length} handled`}
+          </span>
+        )}
+      </h4>
+
+      {objections.length === 0 && <p>No customer objections were detected on this call.</p>}
+      <ul className="objection-list">
+        {objections.map((objection) => (
+          <li key={objection.id} className={`objection-item ${objection.outcome}`}>
+            <div className="objection-header">
+              {objection.categories.map((category) => (
+                <span key={category.id} className="objection-category">
+                  {category.icon} {category.name}
+                </span>
+              ))}
+              <span className="objection-outcome">
+                {OUTCOME_ICONS[objection.outcome]} {OBJECTION_OUTCOMES[objection.outcome]}
+              </span>
+              <button className="objection-cite" onClick={() => cite(objection)} title="Show in the transcript">
+                {formatTime(objection.time)}
+              </button>
+            </div>
+            <blockquote className="objection-quote">
+              {speakerName(objection.speaker)}: "{quoteObjection(objection, sentences)}"
+            </blockquote>
+            <div className="objection-steps">
+              {Object.entries(HANDLING_STEPS).map(([step, name]) => (objection.handling[step] === null ? (
+                <span key={step} className="objection-step missed">✗ {name}</span>
+              ) : (
+                <button
+                  key={step}
+                  className="objection-step taken"
+                  onClick={() => cite(objection, step)}
+                  title={`${formatTime(sentences[objection.handling[step]].start)} — "${sentences[objection.handling[step]].text}"`}
+                >
+                  ✓ {name}
+                </button>
+              )))}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ObjectionLogCard;
@@ -0,0 +1,62 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { formatDollars, formatEntityValue } from '../utils/entityExtraction';
+
+// A labelled row of extracted values; each value links to where it was said
+function PricingRow({ label, groups, onCite }) {
+  if (groups.length === 0) return null;
+  return (
+    <div className="pricing-row">
+      <span className="pricing-row-label">{label}</span>
+      <span className="pricing-values">
+        {groups.map((group) => (
+          <button
+            key={group.entities[0].id}
+            className="entity-chip"
+            onClick={() => onCite(group.entities, 0, `${label}: ${formatEntityValue(group.entities[0])}`)}
+            title={group.entities.map((e) => `${formatTime(e.time)} — "${e.text}"`).join('\n')}
+          >
+            {formatEntityValue(group.entities[0])}
+            {group.entities.length > 1 && <span className="entity-chip-count">×{group.entities.length}</span>}
+          </button>
+        ))}
+      </span>
+    </div>
+  );
+}
+
+// Prices, payments, terms and rates found in the transcript by the entity extractor
+function PricingCard({ pricing, onCite }) {
+  const { impliedPrice } = pricing;
+  const isEmpty = !impliedPrice && [
+    pricing.monthlyPayments, pricing.terms, pricing.rates, pricing.downPayments, pricing.balances, pricing.otherAmounts,
+  ].every((groups) => groups.length === 0);
+
+  return (
+    <div className="context-card pricing-card">
+      <h4>💵 Pricing & Financing <span className="auto-badge" title="Extracted from the transcript">auto</span></h4>
+      {impliedPrice && (
+        <div className="pricing-implied">
+          <span>System price (implied):</span>{' '}
+          <button
+            className="entity-chip strong"
+            onClick={() => onCite([impliedPrice.downPayment, impliedPrice.balance], 0, 'Implied system price')}
+          >
+            {formatDollars(impliedPrice.value)}
+          </button>
+          <span className="pricing-implied-calc">
+            = {formatDollars(impliedPrice.downPayment.value)} down + {formatDollars(impliedPrice.balance.value)} balance
+          </span>
+        </div>
+      )}
+      <PricingRow label="Monthly payments" groups={pricing.monthlyPayments} onCite={onCite} />
+      <PricingRow label="Terms" groups={pricing.terms} onCite={onCite} />
+      <PricingRow label="Rates" groups={pricing.rates} onCite={onCite} />
+      <PricingRow label="Down payments" groups={pricing.downPayments} onCite={onCite} />
+      <PricingRow label="Balances" groups={pricing.balances} onCite={onCite} />
+      <PricingRow label="Other amounts" groups={pricing.otherAmounts} onCite={onCite} />
+      {isEmpty && <p>No prices or financing terms were mentioned in this call.</p>}
+    </div>
+  );
+}
+
+export default PricingCard;
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { formatTime } from '../utils/dataAnalysis';
+import { QUESTION_FORMS, QUESTION_PURPOSES, summarizeQuestions } from '../utils/questionDetection';
+
+const FILTERS = { all: 'All', ...QUESTION_FORMS, ...QUESTION_PURPOSES };
+
+const matchesFilter = (question, filter) =>
+  filter === 'all' || question.form === filter || question.purpose === filter;
+
+// Questions asked in a stage with the technician's broken down by form and purpose.
+// Choosing one hands the filtered list to the citation navigator, so the transcript
+// arrows step through the rest.
+function QuestionList({ questions, speakerName, activeCitations, onSelect }) {
+  const [filter, setFilter] = useState('all');
+  const summary = summarizeQuestions(questions);
+  const visible = questions.filter((q) => matchesFilter(q, filter));
+  const label = `Questions: ${FILTERS[filter]}`;
+  const activeSentenceIdx = activeCitations?.itemText === label
+    ? activeCitations.matches[activeCitations.currentIndex]?.sentenceIdx
+    : null;
+
+  if (questions.length === 0) {
+    return <p className="question-empty">No questions were asked in this stage.</p>;
+  }
+
+  return (
+    <div className="question-list">
+      <p className="question-summary">
+        {Object.entries(summary.bySpeaker).map(([speaker, count]) => `${speakerName(speaker)}: ${count}`).join(' · ')}
+      </p>
+      {summary.technician.total > 0 && (
+        <div className="question-filters">
+          {Object.entries(FILTERS).map(([id, name]) => (
+            <button
+              key={id}
+              className={`question-filter ${filter === id ? 'active' : ''}`}
+              onClick={() => setFilter(id)}
+            >
+              {name} <span className="mono">{id === 'all' ? summary.total : summary.technician[id]}</span>
+            </button>
+          ))}
+        </div>
+      )}
+      <ul className="analysis-list questions">
+        {visible.map((question, idx) => (
+          <li
+            key={question.sentenceIdx}
+            className={`clickable ${question.sentenceIdx === activeSentenceIdx ? 'citation-active-item' : ''}`}
+            onClick={() => onSelect(visible, idx, label)}
+          >
+            <span className="question-meta">
+              <span className="mono">{formatTime(question.time)}</span> {speakerName(question.speaker)}
+            </span>
+            <span className="analysis-item-text">{question.text}</span>
+            {question.form && (
+              <span className="question-tags">
+                <span className={`question-tag ${question.form}`}>{QUESTION_FORMS[question.form]}</span>
+                <span className={`question-tag ${question.purpose}`}>{QUESTION_PURPOSES[question.purpose]}</span>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default QuestionList;
@@ -0,0 +1,38 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { formatDollars } from '../utils/entityExtraction';
+
+const formatRange = ({ min, max }) => (min === max ? formatDollars(min) : `${formatDollars(min)}–${formatDollars(max)}`);
+
+// Rebates and discounts found in the transcript, grouped by incentive program
+function RebatesCard({ incentives, total, onCite }) {
+  return (
+    <div className="context-card">
+      <h4>💰 Rebates Explained <span className="auto-badge" title="Extracted from the transcript">auto</span></h4>
+      {incentives.length > 0 ? (
+        <>
+          <ul className="rebates-list">
+            {incentives.map((incentive) => (
+              <li key={incentive.label}>
+                <span>{incentive.label}:</span>{' '}
+                <button
+                  className="entity-chip"
+                  onClick={() => onCite(incentive.entities, 0, `Rebate: ${incentive.label}`)}
+                  title={incentive.entities.map((e) => `${formatTime(e.time)} — "${e.text}"`).join('\n')}
+                >
+                  {formatRange(incentive)}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="rebates-total">
+            <span>Total discussed:</span> <strong>{formatRange(total)}</strong>
+          </div>
+        </>
+      ) : (
+        <p>No rebates or discounts were mentioned in this call.</p>
+      )}
+    </div>
+  );
+}
+
+export default RebatesCard;
@@ -0,0 +1,53 @@
+import { formatTime } from '../utils/dataAnalysis';
+import { REVISION_TYPES, describeRevision, getRevertedIds } from '../utils/transcriptRevisions';
+
+// Correction mode header: who changed what in the transcript, newest first, with undo
+// of the latest change and a way back to the untouched ASR output. `activeCount` is the
+// number of changes still in effect; the ones taken back stay listed, struck through.
+function RevisionLog({ revisions, activeCount, author, onAuthorChange, onUndo, onRestore, onSelect, speakerName }) {
+  const reverted = getRevertedIds(revisions);
+  const canRevert = activeCount > 0 && Boolean(author.trim());
+
+  return (
+    <div className="revision-log">
+      <div className="revision-log-header">
+        <input
+          type="text"
+          value={author}
+          onChange={(e) => onAuthorChange(e.target.value)}
+          placeholder="Your name"
+          aria-label="Your name"
+        />
+        <span className="revision-log-hint">Click ✎ on a sentence to correct it</span>
+        <button onClick={onUndo} disabled={!canRevert} title="Undo the latest change still in effect">↶ Undo</button>
+        <button onClick={onRestore} disabled={!canRevert} title="Take back every correction and show the ASR transcript">
+          Restore ASR transcript
+        </button>
+      </div>
+      {revisions.length === 0 ? (
+        <p className="revision-log-empty">No corrections yet — the transcript is the ASR output.</p>
+      ) : (
+        <ol className="revision-log-items" reversed>
+          {[...revisions].reverse().map((revision) => (
+            <li key={revision.id} className={reverted.has(revision.id) ? 'reverted' : ''}>
+              <button
+                onClick={() => onSelect(revision)}
+                disabled={revision.sentenceStart === null}
+                title={reverted.has(revision.id) ? 'Taken back' : 'Show this sentence'}
+              >
+                <span className="mono">{revision.sentenceStart === null ? '—' : formatTime(revision.sentenceStart)}</span>
+                <strong>{REVISION_TYPES[revision.type]}</strong>
+                <span className="revision-log-detail">{describeRevision(revision, speakerName)}</span>
+                <span className="revision-log-meta">
+                  {revision.author} · {new Date(revision.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default RevisionLog;
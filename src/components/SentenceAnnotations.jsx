@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { ANNOTATION_TAGS, DEFAULT_ANNOTATION_TAG } from '../utils/annotations';
+
+const formatCommentDate = (iso) =>
+  new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// One annotation's thread: the quoted words, every comment, and a reply box
+function AnnotationThread({ annotation, author, onReply, onDelete, onFocus }) {
+  const [reply, setReply] = useState('');
+  const tag = ANNOTATION_TAGS[annotation.tag];
+
+  const send = () => {
+    if (!reply.trim() || !author) return;
+    onReply(annotation.id, reply.trim());
+    setReply('');
+  };
+
+  return (
+    <li className={`annotation-thread tag-${annotation.tag}`}>
+      <div className="annotation-thread-header">
+        <span className="annotation-tag">{tag?.icon} {tag?.label || annotation.tag}</span>
+        <button className="annotation-quote" onClick={() => onFocus(annotation)} title="Highlight the annotated words">
+          "{annotation.quote}"
+        </button>
+        <button className="annotation-delete" onClick={() => onDelete(annotation.id)} title="Delete this note and its replies">
+          ✕
+        </button>
+      </div>
+      <ul className="annotation-comments">
+        {annotation.comments.map((comment) => (
+          <li key={comment.id}>
+            <span className="annotation-author">{comment.author}</span>
+            <span className="annotation-date">{formatCommentDate(comment.createdAt)}</span>
+            <p>{comment.text}</p>
+          </li>
+        ))}
+      </ul>
+      <div className="annotation-reply">
+        <input
+          type="text"
+          value={reply}
+          placeholder={author ? 'Reply…' : 'Enter your name below to reply'}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') send();
+          }}
+        />
+        <button onClick={send} disabled={!reply.trim() || !author}>Reply</button>
+      </div>
+    </li>
+  );
+}
+
+// Notes on one transcript sentence, opened from its 💬 button. New notes cover the
+// whole sentence unless a word range is picked by clicking its first and last word.
+function SentenceAnnotations({
+  sentence,
+  annotations,
+  author,
+  onAuthorChange,
+  onAdd,
+  onReply,
+  onDelete,
+  onFocus,
+  onClose,
+}) {
+  const [range, setRange] = useState(null); // [wordStart, wordEnd) or null for the whole sentence
+  const [pendingStart, setPendingStart] = useState(null);
+  const [tag, setTag] = useState(DEFAULT_ANNOTATION_TAG);
+  const [text, setText] = useState('');
+
+  const pickWord = (wordIdx) => {
+    if (pendingStart === null) {
+      setPendingStart(wordIdx);
+      setRange([wordIdx, wordIdx + 1]);
+    } else {
+      setRange([Math.min(pendingStart, wordIdx), Math.max(pendingStart, wordIdx) + 1]);
+      setPendingStart(null);
+    }
+  };
+
+  const clearRange = () => {
+    setRange(null);
+    setPendingStart(null);
+  };
+
+  const add = () => {
+    if (!text.trim() || !author.trim()) return;
+    const [wordStart, wordEnd] = range || [0, sentence.words.length];
+    onAdd({ sentence, wordStart, wordEnd, tag, author: author.trim(), text: text.trim() });
+    setText('');
+    clearRange();
+  };
+
+  return (
+    <div className="sentence-annotations" onClick={(e) => e.stopPropagation()}>
+      {annotations.length > 0 && (
+        <ul className="annotation-threads">
+          {annotations.map((annotation) => (
+            <AnnotationThread
+              key={annotation.id}
+              annotation={annotation}
+              author={author.trim()}
+              onReply={onReply}
+              onDelete={onDelete}
+              onFocus={onFocus}
+            />
+          ))}
+        </ul>
+      )}
+
+      <div className="annotation-composer">
+        <div className="annotation-words" title="Click the first and last word to annotate part of the sentence">
+          {sentence.words.map((word, wordIdx) => (
+            <button
+              key={wordIdx}
+              className={range && wordIdx >= range[0] && wordIdx < range[1] ? 'selected' : ''}
+              onClick={() => pickWord(wordIdx)}
+            >
+              {word.text}
+            </button>
+          ))}
+        </div>
+        <div className="annotation-composer-meta">
+          <span className="annotation-range">
+            {range
+              ? `Words ${range[0] + 1}–${range[1]}${pendingStart !== null ? ' (click the last word)' : ''}`
+              : 'Whole sentence'}
+          </span>
+          {range && <button onClick={clearRange}>Whole sentence</button>}
+        </div>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder='e.g. "Good moment, use in training"'
+          rows={2}
+          autoFocus
+        />
+        <div className="annotation-composer-actions">
+          <input
+            type="text"
+            value={author}
+            onChange={(e) => onAuthorChange(e.target.value)}
+            placeholder="Your name"
+            aria-label="Author"
+          />
+          <select value={tag} onChange={(e) => setTag(e.target.value)} aria-label="Tag">
+            {Object.entries(ANNOTATION_TAGS).map(([id, { label, icon }]) => (
+              <option key={id} value={id}>{icon} {label}</option>
+            ))}
+          </select>
+          <button className="primary" onClick={add} disabled={!text.trim() || !author.trim()}>Add note</button>
+          <button onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SentenceAnnotations;
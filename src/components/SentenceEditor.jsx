@@ -0,0 +1,65 @@
+import { useState } from 'react';
+
+// Inline correction of one transcript sentence: its text and speaker, splitting it
+// before a word, or merging it with the next sentence. Changes go to
+// `onRevise([{ type, payload }])`, which returns false if the reviewer backed out.
+function SentenceEditor({ sentence, nextSentence, speakers, speakerName, canEdit, onRevise, onClose }) {
+  const [text, setText] = useState(sentence.text);
+  const [speaker, setSpeaker] = useState(sentence.speaker);
+  const trimmed = text.replace(/\s+/g, ' ').trim();
+  const changed = (trimmed && trimmed !== sentence.text) || speaker !== sentence.speaker;
+
+  const save = () => {
+    const changes = [];
+    if (trimmed && trimmed !== sentence.text) changes.push({ type: 'text', payload: { text: trimmed } });
+    if (speaker !== sentence.speaker) changes.push({ type: 'speaker', payload: { speaker } });
+    if (onRevise(changes)) onClose();
+  };
+
+  return (
+    <div className="sentence-editor" onClick={(e) => e.stopPropagation()}>
+      <textarea value={text} onChange={(e) => setText(e.target.value)} rows={2} autoFocus aria-label="Sentence text" />
+      <div className="sentence-editor-row">
+        <label>
+          Speaker
+          <select value={speaker} onChange={(e) => setSpeaker(e.target.value)}>
+            {speakers.map((s) => (
+              <option key={s} value={s}>{speakerName(s)}</option>
+            ))}
+          </select>
+        </label>
+        <button className="primary" onClick={save} disabled={!changed || !canEdit}>Save</button>
+        <button onClick={onClose}>Cancel</button>
+        <button
+          className="sentence-editor-merge"
+          onClick={() => {
+            if (onRevise([{ type: 'merge', payload: {} }])) onClose();
+          }}
+          disabled={!nextSentence || !canEdit}
+          title={nextSentence ? `Join with "${nextSentence.text}"` : 'This is the last sentence'}
+        >
+          ⤓ Merge with next
+        </button>
+      </div>
+      {sentence.words.length > 1 && (
+        <div className="sentence-editor-split">
+          <span>✂ Split before:</span>
+          {sentence.words.slice(1).map((word, k) => (
+            <button
+              key={k}
+              onClick={() => {
+                if (onRevise([{ type: 'split', payload: { wordIdx: k + 1 } }])) onClose();
+              }}
+              disabled={!canEdit}
+            >
+              {word.text}
+            </button>
+          ))}
+        </div>
+      )}
+      {!canEdit && <p className="sentence-editor-hint">Enter your name in the revision log to make changes.</p>}
+    </div>
+  );
+}
+
+export default SentenceEditor;
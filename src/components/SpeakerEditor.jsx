@@ -0,0 +1,49 @@
+import { formatMinutes } from '../utils/dataAnalysis';
+import { SPEAKER_ROLES } from '../utils/speakerRoles';
+
+// Names and roles of everyone on the call. Roles start out detected from what each
+// speaker says; edits are saved per call as they are made.
+function SpeakerEditor({ profiles, stats, names, isEdited, onRename, onRoleChange, onReset }) {
+  return (
+    <div className="speaker-editor">
+      <div className="speaker-editor-row speaker-editor-head">
+        <span>Speaker</span>
+        <span>Name</span>
+        <span>Role</span>
+        <span>Talk time</span>
+      </div>
+      {stats.map(({ speaker, sentences, time, percent }) => {
+        const profile = profiles[speaker];
+        return (
+          <div key={speaker} className="speaker-editor-row">
+            <span className="speaker-editor-id">
+              <span className={`legend-dot speaker-${profile.color}`} /> {speaker}
+            </span>
+            <input
+              value={names[speaker] ?? ''}
+              placeholder={profile.defaultName}
+              onChange={(e) => onRename(speaker, e.target.value)}
+            />
+            <select value={profile.role} onChange={(e) => onRoleChange(speaker, e.target.value)}>
+              {Object.entries(SPEAKER_ROLES).map(([role, label]) => (
+                <option key={role} value={role}>
+                  {label}{role === profile.detectedRole ? ' (detected)' : ''}
+                </option>
+              ))}
+            </select>
+            <span className="speaker-editor-stats">
+              {percent}% · {formatMinutes(time)}min · {sentences} sentences
+            </span>
+          </div>
+        );
+      })}
+      {isEdited && (
+        <div className="speaker-editor-actions">
+          <button onClick={onReset}>Reset to detected</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SpeakerEditor;
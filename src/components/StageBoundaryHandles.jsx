@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import { formatTime } from '../utils/dataAnalysis';
+import { findNearestSentenceStart, getBoundaryLimits } from '../utils/stageBoundaries';
+
+// Draggable handles on the timeline, one at the start of every stage but the first.
+// A handle snaps to sentence starts; `onDrag(stageId, sentence)` fires whenever the
+// snapped sentence changes so the analysis can follow live, and `onDrop(stageId, sentence)`
+// once it is released, or `onCancel()` if it is released where it started. Arrow keys move
+// a focused handle one sentence at a time.
+function StageBoundaryHandles({ stages, sentences, callStart, callDuration, trackRef, onDrag, onDrop, onCancel }) {
+  const [drag, setDrag] = useState(null); // { stageIdx, min, max, originIdx, sentenceIdx }
+
+  const clamp = (idx, { min, max }) => Math.min(Math.max(idx, min), max);
+
+  const startDrag = (e, stageIdx) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { startIdx } = stages[stageIdx];
+    setDrag({ stageIdx, ...getBoundaryLimits(stages, stageIdx), originIdx: startIdx, sentenceIdx: startIdx });
+  };
+
+  const moveDrag = (e) => {
+    if (!drag || !trackRef.current) return;
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const sentenceIdx = clamp(findNearestSentenceStart(sentences, callStart + fraction * callDuration), drag);
+    if (sentenceIdx === drag.sentenceIdx) return;
+    setDrag({ ...drag, sentenceIdx });
+    onDrag(stages[drag.stageIdx].id, sentences[sentenceIdx]);
+  };
+
+  const endDrag = () => {
+    if (!drag) return;
+    if (drag.sentenceIdx !== drag.originIdx) onDrop(stages[drag.stageIdx].id, sentences[drag.sentenceIdx]);
+    else onCancel();
+    setDrag(null);
+  };
+
+  const stepBoundary = (e, stageIdx) => {
+    const delta = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (!delta) return;
+    e.preventDefault();
+    const sentenceIdx = clamp(stages[stageIdx].startIdx + delta, getBoundaryLimits(stages, stageIdx));
+    if (sentenceIdx !== stages[stageIdx].startIdx) onDrop(stages[stageIdx].id, sentences[sentenceIdx]);
+  };
+
+  return stages.slice(1).map((stage, k) => {
+    const stageIdx = k + 1;
+    const isDragging = drag?.stageIdx === stageIdx;
+    return (
+      <div
+        key={stage.id}
+        className={`timeline-handle ${isDragging ? 'dragging' : ''} ${stage.adjusted ? 'adjusted' : ''}`}
+        style={{ left: `${stage.startPercent}%` }}
+        role="slider"
+        tabIndex={0}
+        aria-label={`Start of ${stage.name}`}
+        aria-valuemin={0}
+        aria-valuemax={sentences.length - 1}
+        aria-valuenow={stage.startIdx}
+        aria-valuetext={formatTime(stage.startTime)}
+        title={`Drag to move the start of ${stage.name} (${formatTime(stage.startTime)})`}
+        onPointerDown={(e) => startDrag(e, stageIdx)}
+        onPointerMove={moveDrag}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+        onKeyDown={(e) => stepBoundary(e, stageIdx)}
+      >
+        {isDragging && <span className="timeline-handle-time">{formatTime(stage.startTime)}</span>}
+      </div>
+    );
+  });
+}
+
+export default StageBoundaryHandles;
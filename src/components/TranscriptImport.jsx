@@ -0,0 +1,81 @@
+import { useState, useRef } from 'react';
+import { TRANSCRIPT_FILE_TYPES, readTranscriptFile, createImportedCall } from '../utils/transcriptImport';
+
+// Drag-and-drop (or click-to-browse) import of transcripts: AssemblyAI, Whisper and
+// Deepgram JSON, WebVTT captions or plain text. Files are converted and validated in
+// the browser; nothing is uploaded.
+function TranscriptImport({ onImport }) {
+  const [dragging, setDragging] = useState(false);
+  const [messages, setMessages] = useState([]); // [{ type: 'error' | 'success', text }]
+  const inputRef = useRef(null);
+
+  const importFiles = async (files) => {
+    const results = [];
+    for (const file of files) {
+      try {
+        const { formatName, sentences, speakerNames } = await readTranscriptFile(file);
+        const call = createImportedCall(file.name);
+        await onImport(call, sentences, speakerNames);
+        results.push({
+          type: 'success',
+          text: `Imported ${file.name} as ${formatName} (${sentences.length} sentences)`,
+        });
+      } catch (err) {
+        results.push({ type: 'error', text: err.message });
+      }
+    }
+    setMessages(results);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    importFiles([...e.dataTransfer.files]);
+  };
+
+  return (
+    <div className="transcript-import">
+      <div
+        className={`import-dropzone ${dragging ? 'dragging' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+      >
+        <span className="import-icon">📥</span>
+        <div>
+          <strong>Drop a transcript here</strong> or click to choose a file
+          <div className="import-hint">
+            AssemblyAI, Whisper or Deepgram JSON, WebVTT or plain text — processed locally,
+            nothing leaves your browser
+          </div>
+        </div>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={TRANSCRIPT_FILE_TYPES}
+          multiple
+          hidden
+          onChange={(e) => {
+            importFiles([...e.target.files]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {messages.length > 0 && (
+        <ul className="import-messages">
+          {messages.map((msg, idx) => (
+            <li key={idx} className={msg.type}>
+              {msg.type === 'success' ? '✓' : '✗'} {msg.text}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TranscriptImport;
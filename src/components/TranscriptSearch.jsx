@@ -0,0 +1,96 @@
+import { useState, useMemo, useDeferredValue } from 'react';
+import { formatTime, getStageForTime } from '../utils/dataAnalysis';
+import { searchSentences } from '../utils/fuzzyMatch';
+
+const MAX_VISIBLE_RESULTS = 50;
+
+// Search box over the whole call. Matching is fuzzy so ASR misspellings still
+// hit; choosing a result hands the full result list to the parent, which
+// navigates it like citations.
+function TranscriptSearch({ sentences, stages, speakerName, speakerColor, activeSentenceIdx, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [speaker, setSpeaker] = useState('');
+  const deferredQuery = useDeferredValue(query);
+
+  const speakers = useMemo(
+    () => [...new Set(sentences.map((s) => s.speaker))].sort(),
+    [sentences]
+  );
+  const results = useMemo(
+    () => (deferredQuery.trim().length < 2
+      ? []
+      : searchSentences(sentences, deferredQuery, { speaker: speaker || null })),
+    [sentences, deferredQuery, speaker]
+  );
+
+  return (
+    <section className="transcript-search">
+      <div className="transcript-search-bar">
+        <input
+          type="search"
+          className="transcript-search-input"
+          placeholder="🔍 Search the whole call…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+        <select
+          className="transcript-search-speaker"
+          value={speaker}
+          onChange={(e) => setSpeaker(e.target.value)}
+        >
+          <option value="">All speakers</option>
+          {speakers.map((id) => (
+            <option key={id} value={id}>{speakerName(id)}</option>
+          ))}
+        </select>
+        {deferredQuery.trim().length >= 2 && (
+          <span className="transcript-search-count">
+            {results.length} result{results.length === 1 ? '' : 's'}
+          </span>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <ul className="transcript-search-results">
+          {results.slice(0, MAX_VISIBLE_RESULTS).map((result, idx) => {
+            const stage = getStageForTime(result.sentence.start, stages);
+            return (
+              <li key={result.sentenceIdx}>
+                <button
+                  className={`transcript-search-result ${result.sentenceIdx === activeSentenceIdx ? 'active' : ''}`}
+                  onClick={() => onSelect(results, idx, query)}
+                >
+                  <span className="transcript-search-meta">
+                    <span className="mono">{formatTime(result.sentence.start)}</span>
+                    <span>{stage.icon} {stage.name}</span>
+                    <span className={`speaker-${speakerColor(result.sentence.speaker)}-text`}>
+                      {speakerName(result.sentence.speaker)}
+                    </span>
+                    {result.score < 1 && (
+                      <span className="transcript-search-score" title="Fuzzy match similarity">
+                        ≈{Math.round(result.score * 100)}%
+                      </span>
+                    )}
+                  </span>
+                  <span className="transcript-search-snippet">
+                    {result.sentence.words.map((word, wordIdx) => {
+                      const isHit = wordIdx >= result.wordStart && wordIdx < result.wordEnd;
+                      return isHit ? <mark key={wordIdx}>{word.text} </mark> : `${word.text} `;
+                    })}
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+          {results.length > MAX_VISIBLE_RESULTS && (
+            <li className="transcript-search-more">
+              Showing the first {MAX_VISIBLE_RESULTS} of {results.length} results — refine the search to narrow them down.
+            </li>
+          )}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default TranscriptSearch;
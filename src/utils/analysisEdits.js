@@ -0,0 +1,109 @@
+// Reviewer edits to a stage's strengths, gaps and key quote. The generated analysis is
+// never changed; a stage's edited lists replace it on display, and a snapshot of what
+// was generated when the stage was first edited is kept for comparison.
+
+import { STORES, getRecord, putRecord } from './localStore';
+
+// The editable part of a stage's analysis, with every item as { text, citations, ruleId, from }.
+// `from` is the text of the generated item an edited one started as (null for new items).
+export const toEditableAnalysis = (analysis) => {
+  const toItems = (items) => items.map((item) => {
+    const itemData = typeof item === 'string' ? { text: item, citations: [] } : item;
+    return {
+      text: itemData.text,
+      citations: [...itemData.citations],
+      ruleId: itemData.ruleId || null,
+      from: 'from' in itemData ? itemData.from : itemData.text,
+    };
+  });
+  return {
+    strengths: toItems(analysis.strengths),
+    gaps: toItems(analysis.gaps),
+    keyQuote: analysis.keyQuote || '',
+  };
+};
+
+// Record `draft` as the edited analysis of `stage`, keeping the first snapshot of the
+// generated analysis. Blank items and citations are dropped.
+export const saveStageEdit = (edits, stage, draft) => {
+  const clean = (items) => items
+    .map((item) => ({ ...item, text: item.text.trim(), citations: item.citations.map((c) => c.trim()).filter(Boolean) }))
+    .filter((item) => item.text);
+  return {
+    ...edits,
+    [stage.id]: {
+      strengths: clean(draft.strengths),
+      gaps: clean(draft.gaps),
+      keyQuote: draft.keyQuote.trim(),
+      original: edits[stage.id]?.original || toEditableAnalysis(stage.analysis),
+      editedAt: new Date().toISOString(),
+    },
+  };
+};
+
+export const revertStageEdit = (edits, stageId) => {
+  const next = { ...edits };
+  delete next[stageId];
+  return next;
+};
+
+// Stages with their reviewer edits applied; edited stages get `analysis.edited = true`
+export const applyAnalysisEdits = (stages, edits) =>
+  stages.map((stage) => {
+    const edit = edits[stage.id];
+    if (!edit) return stage;
+    return {
+      ...stage,
+      analysis: {
+        ...stage.analysis,
+        strengths: edit.strengths,
+        gaps: edit.gaps,
+        keyQuote: edit.keyQuote,
+        edited: true,
+      },
+    };
+  });
+
+const sameCitations = (a, b) => a.length === b.length && a.every((citation, idx) => citation === b[idx]);
+
+// What changed in one list: [{ type: 'added' | 'removed' | 'changed' | 'moved', item, before? }]
+const diffItems = (originalItems, editedItems) => {
+  const changes = [];
+  const kept = editedItems.filter((item) => originalItems.some((o) => o.text === item.from));
+  originalItems.forEach((original) => {
+    const edited = editedItems.find((item) => item.from === original.text);
+    if (!edited) {
+      changes.push({ type: 'removed', item: original });
+    } else if (edited.text !== original.text || !sameCitations(edited.citations, original.citations)) {
+      changes.push({ type: 'changed', item: edited, before: original });
+    }
+  });
+  // Items still in the list, but not in their original relative order
+  const keptOriginals = originalItems.filter((o) => kept.some((item) => item.from === o.text));
+  kept.forEach((item, idx) => {
+    if (keptOriginals[idx].text !== item.from && !changes.some((c) => c.item === item)) {
+      changes.push({ type: 'moved', item });
+    }
+  });
+  editedItems
+    .filter((item) => !kept.includes(item))
+    .forEach((item) => changes.push({ type: 'added', item }));
+  return changes;
+};
+
+// Differences between a stage's generated analysis (as first edited) and its edits:
+// { strengths: changes[], gaps: changes[], keyQuote: { before, after } | null }
+export const diffStageEdit = (edit) => ({
+  strengths: diffItems(edit.original.strengths, edit.strengths),
+  gaps: diffItems(edit.original.gaps, edit.gaps),
+  keyQuote: edit.original.keyQuote === edit.keyQuote ? null : { before: edit.original.keyQuote, after: edit.keyQuote },
+});
+
+// Edits for one call: { [stageId]: { strengths, gaps, keyQuote, original, editedAt } }
+export const loadAnalysisEdits = async (callId) => {
+  const record = await getRecord(STORES.analysisEdits, callId);
+  return record?.edits || {};
+};
+
+export const saveAnalysisEdits = (callId, edits) =>
+  putRecord(STORES.analysisEdits, { id: callId, edits });
@@ -0,0 +1,114 @@
+// Reviewer annotations - notes pinned to a sentence (or a run of its words), each
+// with a tag and a comment thread. Kept per call in IndexedDB.
+
+import { STORES, getRecord, putRecord } from './localStore';
+
+export const ANNOTATION_TAGS = {
+  training: { label: 'Use in training', icon: '⭐' },
+  missed: { label: 'Missed opportunity', icon: '⚠️' },
+  coaching: { label: 'Coaching note', icon: '💡' },
+  compliance: { label: 'Compliance', icon: '⚖️' },
+  question: { label: 'Question', icon: '❓' },
+};
+
+export const DEFAULT_ANNOTATION_TAG = 'coaching';
+
+const AUTHOR_SETTINGS_ID = 'annotationAuthor';
+
+// Annotations are anchored by sentence start time, like confidence reviews, so they
+// survive re-analysis and re-ordering of the transcript
+const sentenceKey = (sentence) => String(sentence.start);
+
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+// A new annotation on words [wordStart, wordEnd) of `sentence`; the comment opens the thread
+export const createAnnotation = ({ sentence, wordStart, wordEnd, tag, author, text }) => {
+  const createdAt = new Date().toISOString();
+  return {
+    id: newId('note'),
+    sentenceKey: sentenceKey(sentence),
+    wordStart,
+    wordEnd,
+    tag,
+    author,
+    createdAt,
+    comments: [{ id: newId('comment'), author, text, createdAt }],
+  };
+};
+
+export const addComment = (annotation, author, text) => ({
+  ...annotation,
+  comments: [...annotation.comments, { id: newId('comment'), author, text, createdAt: new Date().toISOString() }],
+});
+
+// Attach each annotation to its sentence: [{ ...annotation, sentenceIdx, sentence, quote }]
+// in transcript order. Annotations whose sentence is no longer in the transcript are left out.
+export const resolveAnnotations = (annotations, sentences) => {
+  const indexByKey = new Map(sentences.map((sentence, idx) => [sentenceKey(sentence), idx]));
+  return annotations
+    .filter((annotation) => indexByKey.has(annotation.sentenceKey))
+    .map((annotation) => {
+      const sentenceIdx = indexByKey.get(annotation.sentenceKey);
+      const sentence = sentences[sentenceIdx];
+      const wordEnd = Math.min(annotation.wordEnd, sentence.words.length);
+      const wordStart = Math.min(annotation.wordStart, wordEnd);
+      return {
+        ...annotation,
+        wordStart,
+        wordEnd,
+        sentenceIdx,
+        sentence,
+        quote: sentence.words.slice(wordStart, wordEnd).map((w) => w.text).join(' '),
+      };
+    })
+    .sort((a, b) => a.sentenceIdx - b.sentenceIdx || a.wordStart - b.wordStart || a.createdAt.localeCompare(b.createdAt));
+};
+
+// `filter` is { tag, author }; an empty value matches everything
+export const filterAnnotations = (annotations, { tag = '', author = '' } = {}) =>
+  annotations.filter((annotation) =>
+    (!tag || annotation.tag === tag)
+    && (!author || annotation.comments.some((comment) => comment.author === author)));
+
+// Everyone who has written in any thread, alphabetically
+export const listAnnotationAuthors = (annotations) =>
+  [...new Set(annotations.flatMap((annotation) => annotation.comments.map((c) => c.author)))].sort();
+
+// Resolved annotations as plain data for the exports
+export const exportAnnotations = (resolved) =>
+  resolved.map(({ id, sentenceIdx, sentence, wordStart, wordEnd, quote, tag, author, createdAt, comments }) => ({
+    id,
+    sentenceIdx,
+    time: sentence.start,
+    speaker: sentence.speaker,
+    wordStart,
+    wordEnd,
+    quote,
+    tag,
+    tagLabel: ANNOTATION_TAGS[tag]?.label || tag,
+    author,
+    createdAt,
+    comments: comments.map(({ author: commentAuthor, text, createdAt: commentedAt }) => ({
+      author: commentAuthor,
+      text,
+      createdAt: commentedAt,
+    })),
+  }));
+
+// Annotations for one call, as stored: [{ id, sentenceKey, wordStart, wordEnd, tag, author, createdAt, comments }]
+export const loadAnnotations = async (callId) => {
+  const record = await getRecord(STORES.annotations, callId);
+  return record?.annotations || [];
+};
+
+export const saveAnnotations = (callId, annotations) =>
+  putRecord(STORES.annotations, { id: callId, annotations });
+
+// The name the reviewer last annotated under, shared by every call
+export const loadAnnotationAuthor = async () => {
+  const record = await getRecord(STORES.settings, AUTHOR_SETTINGS_ID);
+  return record?.author || '';
+};
+
+export const saveAnnotationAuthor = (author) =>
+  putRecord(STORES.settings, { id: AUTHOR_SETTINGS_ID, author });
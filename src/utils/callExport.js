@@ -0,0 +1,190 @@
+// Exports of a call's data for use outside the app: the full analysis as JSON, the
+// sentences as CSV, and the transcript as SRT / WebVTT captions.
+
+import { formatTime, getStageForTime } from './dataAnalysis';
+import { toCsv } from './download';
+import { ANNOTATION_TAGS } from './annotations';
+
+export const EXPORT_FORMATS = {
+  analysis: { label: 'Full analysis', format: 'JSON', suffix: '-analysis.json', mimeType: 'application/json' },
+  sentences: { label: 'Sentences', format: 'CSV', suffix: '-sentences.csv', mimeType: 'text/csv' },
+  srt: { label: 'Captions', format: 'SRT', suffix: '.srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'Captions', format: 'WebVTT', suffix: '.vtt', mimeType: 'text/vtt' },
+};
+
+// Captions longer than this are split at word boundaries (two lines of ~42 characters)
+const MAX_CAPTION_CHARS = 84;
+
+// A citation match as plain data: where it is and what was said
+const exportMatch = (match, sentences) => ({
+  sentenceIdx: match.sentenceIdx,
+  time: match.sentence.start,
+  timestamp: formatTime(match.sentence.start),
+  speaker: match.sentence.speaker,
+  score: match.score ?? null,
+  text: match.spans.map((span) => sentences[span.sentenceIdx].text).join(' '),
+});
+
+// Everything the dashboard computed for a call, as one JSON document.
+// `findCitations(stageId, citations)` resolves a strength or gap's citations to matches.
+export const buildAnalysisExport = ({
+  call,
+  sentences,
+  assessment,
+  stats,
+  callScore,
+  callStages,
+  keywords,
+  speakerProfiles,
+  pricing,
+  financingCheck,
+  objections,
+  actionItems,
+  annotations = [],
+  transcriptRevisions = [],
+  findCitations,
+}) => {
+  const exportItems = (stage, items) => items.map((item) => {
+    const itemData = typeof item === 'string' ? { text: item, citations: [] } : item;
+    return {
+      text: itemData.text,
+      ruleId: itemData.ruleId || null,
+      citations: itemData.citations,
+      matches: findCitations(stage.id, itemData.citations).map((match) => exportMatch(match, sentences)),
+    };
+  });
+
+  return JSON.stringify({
+    exportedAt: new Date().toISOString(),
+    call: {
+      id: call.id,
+      title: call.title || null,
+      date: call.date || null,
+      technician: call.technician || null,
+      customer: call.customer || null,
+    },
+    speakers: Object.values(speakerProfiles).map(({ speaker, name, role }) => ({ speaker, name, role })),
+    stats,
+    score: callScore,
+    assessment: assessment || null,
+    stages: callStages.map((stage) => ({
+      id: stage.id,
+      name: stage.name,
+      startTime: stage.startTime,
+      endTime: stage.endTime,
+      start: formatTime(stage.startTime),
+      end: formatTime(stage.endTime),
+      boundaryCue: stage.boundaryCue || null,
+      boundaryAdjusted: stage.adjusted,
+      score: stage.score,
+      status: stage.status,
+      scoreDetails: stage.scoreDetails,
+      checklist: stage.analysis.checklist,
+      analysisEdited: Boolean(stage.analysis.edited),
+      strengths: exportItems(stage, stage.analysis.strengths),
+      gaps: exportItems(stage, stage.analysis.gaps),
+      questions: stage.questions,
+      dynamics: stage.dynamics,
+    })),
+    keywords: Object.entries(keywords).map(([term, data]) => ({
+      term,
+      category: data.categoryName,
+      count: data.count,
+      mentions: data.mentions.map(({ sentenceIdx, time, speaker }) => ({
+        sentenceIdx,
+        time,
+        timestamp: formatTime(time),
+        speaker,
+      })),
+    })),
+    pricing,
+    financingCheck,
+    objections,
+    actionItems,
+    annotations,
+    transcriptRevisions,
+  }, null, 2);
+};
+
+// Reviewer notes on one sentence as a single cell: "[Tag] Author: comment / Reply: …"
+const describeNotes = (notes) =>
+  notes.map((note) => {
+    const thread = note.comments.map((comment) => `${comment.author}: ${comment.text}`).join(' / ');
+    return `[${ANNOTATION_TAGS[note.tag]?.label || note.tag}] ${thread}`;
+  }).join(' | ');
+
+// One row per sentence: times, speaker, stage, confidence, the ASR text of corrected
+// sentences and any reviewer notes (`annotations` are resolved, see annotations.js)
+export const sentencesToCsv = (sentences, callStages, speakerName, annotations = []) => {
+  const header = ['Index', 'Start (ms)', 'End (ms)', 'Start', 'End', 'Speaker', 'Speaker name', 'Stage', 'Confidence', 'Text', 'ASR text', 'Notes'];
+  const rows = sentences.map((sentence, idx) => [
+    idx,
+    sentence.start,
+    sentence.end,
+    formatTime(sentence.start),
+    formatTime(sentence.end),
+    sentence.speaker,
+    speakerName(sentence.speaker),
+    getStageForTime(sentence.start, callStages).name,
+    sentence.confidence.toFixed(3),
+    sentence.text,
+    sentence.corrected ? sentence.original.text : '',
+    describeNotes(annotations.filter((note) => note.sentenceIdx === idx)),
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+// Caption cues from sentence timings: [{ start, end, speaker, text }]. Long sentences
+// are split between words, using the word timings.
+export const buildCaptionCues = (sentences, maxChars = MAX_CAPTION_CHARS) =>
+  sentences.flatMap((sentence) => {
+    const words = sentence.words || [];
+    if (sentence.text.length <= maxChars || words.length === 0) {
+      return [{ start: sentence.start, end: sentence.end, speaker: sentence.speaker, text: sentence.text }];
+    }
+    const cues = [];
+    let chunk = [];
+    words.forEach((word) => {
+      const length = [...chunk, word].map((w) => w.text).join(' ').length;
+      if (chunk.length > 0 && length > maxChars) {
+        cues.push(chunk);
+        chunk = [];
+      }
+      chunk.push(word);
+    });
+    if (chunk.length > 0) cues.push(chunk);
+    return cues.map((chunkWords) => ({
+      start: chunkWords[0].start,
+      end: chunkWords[chunkWords.length - 1].end,
+      speaker: sentence.speaker,
+      text: chunkWords.map((w) => w.text).join(' '),
+    }));
+  });
+
+// HH:MM:SS plus milliseconds after `separator` ("," for SRT, "." for WebVTT)
+const formatCaptionTime = (ms, separator) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+};
+
+export const toSrt = (sentences, speakerName) =>
+  buildCaptionCues(sentences)
+    .map((cue, idx) => [
+      idx + 1,
+      `${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}`,
+      `${speakerName(cue.speaker)}: ${cue.text}`,
+    ].join('\n'))
+    .join('\n\n') + '\n';
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+// Speakers are marked with voice tags (<v Name>), which players can style or show
+export const toWebVtt = (sentences, speakerName) =>
+  ['WEBVTT', ...buildCaptionCues(sentences).map((cue) => [
+    `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}`,
+    `<v ${escapeVtt(speakerName(cue.speaker))}>${escapeVtt(cue.text)}`,
+  ].join('\n'))].join('\n\n') + '\n';
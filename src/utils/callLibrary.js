@@ -0,0 +1,45 @@
+// Call library utilities - loading the call index and per-call transcripts
+
+import { getCallBoundaries } from './dataAnalysis';
+
+// Manifest listing every call available to the dashboard
+export const CALL_INDEX_URL = '/calls/index.json';
+
+// Load the list of available calls
+export const loadCallIndex = async () => {
+  const res = await fetch(CALL_INDEX_URL);
+  if (!res.ok) throw new Error(`Failed to load call index (${res.status})`);
+  const data = await res.json();
+  return data.calls || [];
+};
+
+// Load the AssemblyAI sentences for a single call
+export const loadCallSentences = async (call) => {
+  const res = await fetch(call.transcript);
+  if (!res.ok) throw new Error(`Failed to load transcript for ${call.id} (${res.status})`);
+  const data = await res.json();
+  return data.sentences || [];
+};
+
+// Build the row shown in the call library list
+export const summarizeCall = (call, sentences) => {
+  const { start, end, duration } = getCallBoundaries(sentences);
+  return {
+    ...call,
+    sentenceCount: sentences ? sentences.length : 0,
+    start,
+    end,
+    duration,
+  };
+};
+
+// Format an ISO date (YYYY-MM-DD) for display, e.g. "Jul 16, 2025"
+export const formatCallDate = (isoDate) => {
+  if (!isoDate) return '—';
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
@@ -0,0 +1,259 @@
+// Commitments and action items - promises made on the call ("I will send…", "within
+// 15 days…", "I'll talk to her…") turned into a list of tasks with an owner, a due date
+// relative to the call date and the sentences they came from.
+
+import { formatTime } from './dataAnalysis';
+import { toCsv } from './download';
+
+export const ACTION_OWNERS = { technician: 'Technician', customer: 'Customer' };
+
+// A speaker taking something on: "I will", "I'll", "I'm gonna", "we'll", "when I"…
+// ("Let me…" is left out: it's nearly always something done there and then.)
+const PROMISE = /\b(i will|i'll|i'm (just )?(going to|gonna)|i am going to|we will|we'll|we're (going to|gonna)|when i)\b/i;
+// The customer asking the technician to do something: "email me these", "call me"
+const REQUEST = /\b(send|e-?mail|text|call) me\b/i;
+
+// Things done after the call, checked in this order. `titles` name the task per owner.
+const ACTIONS = [
+  {
+    id: 'send',
+    pattern: /\b(send|e-?mail|text|mail)\b|\b(update|revise|modify|pretty|finalize|prepare|put together)\b.*\b(estimates?|quotes?|proposals?)\b/i,
+    titles: { technician: 'Send the promised information', customer: 'Send the requested information' },
+  },
+  {
+    id: 'credit',
+    pattern: /\b(credit|refund|waive|reimburse)\b/i,
+    titles: { technician: 'Apply the promised credit', customer: 'Apply the credit' },
+  },
+  {
+    id: 'follow-up',
+    pattern: /\b(call (you|me|back)|follow up|check in|get back to|reach out|let (you|me) know|touch base)\b/i,
+    titles: { technician: 'Follow up with the customer', customer: 'Get back to the technician' },
+  },
+  {
+    id: 'schedule',
+    pattern: /\b(schedul\w*|book|set up (a|an|the) (time|appointment|visit|install\w*))\b/i,
+    titles: { technician: 'Schedule the next visit', customer: 'Schedule the next visit' },
+  },
+  {
+    id: 'decide',
+    pattern: /\b(talk|discuss|speak|think (about|it over)|decide|make (a|the) decision|look (it |them |these )?over)\b/i,
+    titles: { technician: 'Get an answer for the customer', customer: 'Review the options and decide' },
+  },
+];
+
+// Days after the call an item is due when no deadline was said
+export const DEFAULT_DUE_DAYS = { send: 1, credit: 15, 'follow-up': 3, schedule: 3, decide: 7 };
+
+const DOCUMENTS = /\b(estimates?|quotes?|proposals?|invoices?|receipts?|contracts?|photos?|pictures?)\b/i;
+const SPOUSE = /\b(wife|husband|spouse|partner|her|him)\b/i;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  fourteen: 14, fifteen: 15, twenty: 20, thirty: 30, couple: 2, few: 3,
+};
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Deadlines in days after the call. "Today" only counts after the promise ("I'll send it
+// today"), since before it usually refers to the visit ("what you did today").
+const DEADLINES = [
+  { pattern: /\b(?:within|in|next) (?:the next )?(?:a )?(\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten|fourteen|fifteen|twenty|thirty|couple|few)(?: of)? (day|week|month)s?\b/i, days: (m) => {
+    const amount = /^\d+$/.test(m[1]) ? Number(m[1]) : NUMBER_WORDS[m[1].toLowerCase()];
+    return amount * { day: 1, week: 7, month: 30 }[m[2].toLowerCase()];
+  } },
+  { pattern: /\b(today|tonight|end of (the )?day)\b/i, days: () => 0, afterPromiseOnly: true },
+  { pattern: /\btomorrow\b/i, days: () => 1 },
+  { pattern: /\bnext week\b/i, days: () => 7 },
+  { pattern: /\bthis week\b/i, days: (m, weekday) => Math.max(0, 5 - weekday) },
+  { pattern: /\b(?:by|on|this|next) (sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i, days: (m, weekday) => {
+    const ahead = (WEEKDAYS.indexOf(m[1].toLowerCase()) - weekday + 7) % 7;
+    return ahead === 0 ? 7 : ahead;
+  } },
+];
+
+const parseIsoDate = (isoDate) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toIsoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// `isoDate` plus a number of days, as an ISO date
+export const addDays = (isoDate, days) => {
+  const date = parseIsoDate(isoDate);
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date);
+};
+
+// A deadline said with a promise, in days after the call: { days, text } or null.
+// `before` is the sentence up to the promising words, `clause` the rest.
+const findDeadline = (before, clause, callDate) => {
+  const weekday = callDate ? parseIsoDate(callDate).getDay() : 1;
+  for (const deadline of DEADLINES) {
+    const match = clause.match(deadline.pattern) || (!deadline.afterPromiseOnly && before.match(deadline.pattern));
+    if (match) return { days: deadline.days(match, weekday), text: match[0] };
+  }
+  return null;
+};
+
+// The promise itself, from the promising words to the end of the sentence
+const promiseClause = (text, start) => text.slice(start).trim().replace(/^[,\s]+/, '');
+
+// Commitments found in one sentence: [{ owner, action, clause, before, requested }]
+const findSentenceCommitments = (sentence, role) => {
+  const found = [];
+  const promise = sentence.text.match(PROMISE);
+  if (promise && (role === 'technician' || role === 'customer')) {
+    const rest = sentence.text.slice(promise.index);
+    const action = ACTIONS.find((a) => a.pattern.test(rest));
+    if (action) {
+      found.push({
+        owner: role,
+        action,
+        clause: promiseClause(sentence.text, promise.index),
+        before: sentence.text.slice(0, promise.index),
+        requested: false,
+      });
+    }
+  }
+  const request = role === 'customer' && sentence.text.match(REQUEST);
+  if (request) {
+    const action = ACTIONS.find((a) => a.pattern.test(request[0]));
+    if (!found.some((c) => c.owner === 'technician' && c.action === action)) {
+      found.push({
+        owner: 'technician',
+        action,
+        clause: promiseClause(sentence.text, request.index),
+        before: sentence.text.slice(0, request.index),
+        requested: true,
+      });
+    }
+  }
+  return found;
+};
+
+// A readable task name, naming the documents or the spouse when the sentences do
+const describeAction = (item, sentences) => {
+  const texts = item.sentenceIdxs.map((idx) => sentences[idx].text).join(' ');
+  if (item.action === 'send') {
+    const document = texts.match(DOCUMENTS);
+    if (document) return `Send the ${document[1].toLowerCase().replace(/s?$/, 's')}`;
+  }
+  if (item.action === 'decide' && item.owner === 'customer' && SPOUSE.test(texts)) {
+    return 'Discuss the options with their spouse and decide';
+  }
+  return ACTIONS.find((a) => a.id === item.action).titles[item.owner];
+};
+
+// Action items promised on the call, earliest first. `roles` maps speakers to roles;
+// `callDate` (YYYY-MM-DD) anchors the due dates. The same kind of promise made more
+// than once by the same owner is one item citing every sentence. A customer who still
+// has to decide implies a technician follow-up, added when none was promised.
+// [{ id, owner, action, title, detail, due, dueDays, dueText, requested, implicit, sentenceIdxs, time }]
+// `detail` quotes the owner's own promise when there is one; `requested` marks items the
+// customer asked for. `due` is an ISO date (null without a call date); `dueText` is the
+// deadline as said, or null when the default for the action was used.
+export const extractActionItems = (sentences, roles = {}, callDate = null) => {
+  if (!sentences || sentences.length === 0) return [];
+  const items = [];
+  const detailFromRequest = new Set(); // items whose detail still quotes the customer's request
+
+  sentences.forEach((sentence, idx) => {
+    findSentenceCommitments(sentence, roles[sentence.speaker]).forEach(({ owner, action, clause, before, requested }) => {
+      const deadline = findDeadline(before, clause, callDate);
+      const existing = items.find((item) => item.owner === owner && item.action === action.id
+        && !(deadline && item.dueText && deadline.days !== item.dueDays));
+      if (existing) {
+        existing.sentenceIdxs.push(idx);
+        if (detailFromRequest.has(existing) && !requested) {
+          existing.detail = clause;
+          detailFromRequest.delete(existing);
+        }
+        existing.requested = existing.requested || requested;
+        if (deadline && !existing.dueText) Object.assign(existing, { dueDays: deadline.days, dueText: deadline.text });
+        return;
+      }
+      const item = {
+        id: `action-${idx}-${action.id}`,
+        owner,
+        action: action.id,
+        detail: clause,
+        dueDays: deadline ? deadline.days : DEFAULT_DUE_DAYS[action.id],
+        dueText: deadline ? deadline.text : null,
+        requested,
+        implicit: false,
+        sentenceIdxs: [idx],
+        time: sentence.start,
+      };
+      items.push(item);
+      if (requested) detailFromRequest.add(item);
+    });
+  });
+
+  const decision = items.find((item) => item.owner === 'customer' && item.action === 'decide');
+  if (decision && !items.some((item) => item.owner === 'technician' && item.action === 'follow-up')) {
+    items.push({
+      id: `action-${decision.sentenceIdxs[0]}-follow-up`,
+      owner: 'technician',
+      action: 'follow-up',
+      detail: 'Not promised on the call: check back once the customer has decided',
+      dueDays: decision.dueDays + 1,
+      dueText: null,
+      requested: false,
+      implicit: true,
+      sentenceIdxs: [...decision.sentenceIdxs],
+      time: decision.time,
+    });
+  }
+
+  return items
+    .map((item) => ({
+      ...item,
+      title: describeAction(item, sentences),
+      due: callDate ? addDays(callDate, item.dueDays) : null,
+    }))
+    .sort((a, b) => a.time - b.time || (a.implicit ? 1 : 0) - (b.implicit ? 1 : 0));
+};
+
+// One row per action item, for dispatch to track in a spreadsheet
+export const actionItemsToCsv = (items, sentences, call) => {
+  const header = ['Call', 'Call date', 'Owner', 'Task', 'Due', 'Deadline as said', 'Customer asked', 'Implied', 'Call time', 'Quote'];
+  const rows = items.map((item) => [
+    call.title || call.id,
+    call.date || '',
+    ACTION_OWNERS[item.owner],
+    item.title,
+    item.due || `+${item.dueDays} days`,
+    item.dueText || '',
+    item.requested ? 'yes' : 'no',
+    item.implicit ? 'yes' : 'no',
+    formatTime(item.time),
+    item.sentenceIdxs.map((idx) => sentences[idx].text).join(' / '),
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+export const actionItemsToJson = (items, sentences, call) =>
+  JSON.stringify({
+    callId: call.id,
+    callTitle: call.title || null,
+    callDate: call.date || null,
+    customer: call.customer || null,
+    actionItems: items.map((item) => ({
+      owner: item.owner,
+      task: item.title,
+      detail: item.detail,
+      due: item.due,
+      dueInDays: item.dueDays,
+      deadlineAsSaid: item.dueText,
+      requestedByCustomer: item.requested,
+      implicit: item.implicit,
+      citations: item.sentenceIdxs.map((idx) => ({
+        time: formatTime(sentences[idx].start),
+        start: sentences[idx].start,
+        speaker: sentences[idx].speaker,
+        text: sentences[idx].text,
+      })),
+    })),
+  }, null, 2);
@@ -0,0 +1,137 @@
+// Compliance checklist engine - evaluates declarative rules (see
+// src/config/complianceChecklist.json) against each stage's sentences and
+// turns the results into strengths and gaps with citations.
+
+import DEFAULT_CHECKLIST from '../config/complianceChecklist.json';
+
+export { DEFAULT_CHECKLIST };
+
+// Lowercase, drop punctuation (keeping $ % and apostrophes) and collapse spaces
+export const normalizeText = (text) =>
+  text.toLowerCase().replace(/[^\w$%'\s]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Substitute {customer} and similar placeholders from the call context
+const fillPlaceholders = (text, context, escape = false) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = context[key];
+    if (!value) return match;
+    return escape ? escapeRegex(value.toLowerCase()) : value;
+  });
+
+// Does a sentence satisfy a leaf rule (phrase or regex)?
+const matchesLeaf = (rule, sentence, context) => {
+  if (rule.role && sentence.role !== rule.role) return false;
+  if (rule.type === 'phrase') {
+    const haystack = ` ${normalizeText(sentence.text)} `;
+    return rule.phrases.some((phrase) => {
+      const needle = normalizeText(fillPlaceholders(phrase, context));
+      return needle && haystack.includes(` ${needle} `);
+    });
+  }
+  if (rule.type === 'regex') {
+    return new RegExp(fillPlaceholders(rule.pattern, context, true), 'i').test(sentence.text);
+  }
+  return false;
+};
+
+// Indices of sentences matching any leaf rule nested inside `rule`
+const collectLeafMatches = (rule, sentences, context) => {
+  if (rule.type === 'proximity' || rule.type === 'any') {
+    const indices = new Set();
+    const children = rule.type === 'proximity' ? rule.all : rule.rules;
+    children.forEach((child) => {
+      collectLeafMatches(child, sentences, context).forEach((idx) => indices.add(idx));
+    });
+    return [...indices].sort((a, b) => a - b);
+  }
+  return sentences.reduce((acc, sentence, idx) => {
+    if (matchesLeaf(rule, sentence, context)) acc.push(idx);
+    return acc;
+  }, []);
+};
+
+// Evaluate a rule against a list of sentences (each with a `role`).
+// Returns { passed, evidence, partial } where evidence/partial are sentence indices:
+// `evidence` supports a pass; `partial` is where the first sub-rule of a failed
+// proximity rule matched (e.g. maintenance plan mentioned, but without pricing).
+export const evaluateRule = (rule, sentences, context = {}) => {
+  if (rule.type === 'any') {
+    const results = rule.rules.map((child) => evaluateRule(child, sentences, context));
+    const evidence = [...new Set(results.flatMap((r) => r.evidence))].sort((a, b) => a - b);
+    const partial = [...new Set(results.flatMap((r) => r.partial))].sort((a, b) => a - b);
+    return { passed: evidence.length > 0, evidence, partial };
+  }
+
+  if (rule.type === 'proximity') {
+    const within = rule.within ?? 0;
+    const childMatches = rule.all.map((child) => evaluateRule(child, sentences, context).evidence);
+    const evidence = new Set();
+    // Anchor on each match of the first sub-rule and look for the others nearby
+    childMatches[0].forEach((anchor) => {
+      const nearby = childMatches.slice(1).map((matches) =>
+        matches.filter((idx) => Math.abs(idx - anchor) <= within)
+      );
+      if (nearby.every((matches) => matches.length > 0)) {
+        evidence.add(anchor);
+        nearby.forEach((matches) => matches.forEach((idx) => evidence.add(idx)));
+      }
+    });
+    const sorted = [...evidence].sort((a, b) => a - b);
+    return {
+      passed: sorted.length > 0,
+      evidence: sorted,
+      partial: sorted.length > 0 ? [] : collectLeafMatches(rule.all[0], sentences, context),
+    };
+  }
+
+  const evidence = collectLeafMatches(rule, sentences, context);
+  return { passed: evidence.length > 0, evidence, partial: [] };
+};
+
+// Pick the sentence cited by the most checklist items (longest wins ties)
+const pickKeyQuote = (results, sentences) => {
+  const hits = {};
+  results.forEach(({ evidence, partial }) => {
+    [...evidence, ...partial].forEach((idx) => {
+      hits[idx] = (hits[idx] || 0) + 1;
+    });
+  });
+  const ranked = Object.keys(hits).map(Number).sort((a, b) =>
+    hits[b] - hits[a] || sentences[b].text.length - sentences[a].text.length
+  );
+  return ranked.length > 0 ? sentences[ranked[0]].text : '';
+};
+
+// Evaluate one stage's checklist items against that stage's sentences.
+// `context` = { customer, speakerRoles: { [speaker]: 'technician' | 'customer' | 'other' } }.
+export const evaluateStageChecklist = (items, stageSentences, context = {}) => {
+  const sentences = stageSentences.map((sentence) => ({
+    ...sentence,
+    role: context.speakerRoles?.[sentence.speaker] || 'customer',
+  }));
+
+  const results = items.map((item) => ({
+    item,
+    ...evaluateRule(item.rule, sentences, context),
+  }));
+
+  const toCitations = (indices) => indices.map((idx) => sentences[idx].text);
+
+  return {
+    strengths: results
+      .filter((r) => r.passed)
+      .map((r) => ({ text: r.item.strength, citations: toCitations(r.evidence), ruleId: r.item.id })),
+    gaps: results
+      .filter((r) => !r.passed)
+      .map((r) => ({ text: r.item.gap, citations: toCitations(r.partial), ruleId: r.item.id })),
+    keyQuote: pickKeyQuote(results, sentences),
+    checklist: results.map((r) => ({
+      id: r.item.id,
+      label: r.passed ? r.item.strength : r.item.gap,
+      weight: r.item.weight ?? 1,
+      passed: r.passed,
+    })),
+  };
+};
@@ -0,0 +1,41 @@
+// Low-confidence review queue - sentences the ASR was unsure about, and the
+// reviewer's verdict on each (confirmed as transcribed, or corrected)
+
+import { LOW_CONFIDENCE_THRESHOLD } from './dataAnalysis';
+import { STORES, getRecord, putRecord } from './localStore';
+
+export const DEFAULT_REVIEW_THRESHOLD = LOW_CONFIDENCE_THRESHOLD;
+
+// Reviews are keyed by sentence start time, which stays stable across re-analysis
+export const getReviewKey = (sentence) => String(sentence.start);
+
+// Every sentence whose confidence is below `threshold`, in transcript order
+export const buildReviewQueue = (sentences, threshold = DEFAULT_REVIEW_THRESHOLD) =>
+  sentences
+    .map((sentence, sentenceIdx) => ({ sentence, sentenceIdx }))
+    .filter(({ sentence }) => sentence.confidence < threshold)
+    .map(({ sentence, sentenceIdx }) => ({
+      key: getReviewKey(sentence),
+      sentenceIdx,
+      sentence,
+      lowWordCount: sentence.words.filter((w) => w.confidence < threshold).length,
+    }));
+
+// Count confirmed / corrected / pending items in a queue
+export const summarizeReviews = (queue, reviews) => {
+  const summary = { confirmed: 0, corrected: 0, pending: 0 };
+  queue.forEach((item) => {
+    const status = reviews[item.key]?.status;
+    summary[status === 'confirmed' || status === 'corrected' ? status : 'pending'] += 1;
+  });
+  return summary;
+};
+
+// Review verdicts for one call: { [reviewKey]: { status, correction?, reviewedAt } }
+export const loadConfidenceReviews = async (callId) => {
+  const record = await getRecord(STORES.confidenceReviews, callId);
+  return record?.reviews || {};
+};
+
+export const saveConfidenceReviews = (callId, reviews) =>
+  putRecord(STORES.confidenceReviews, { id: callId, reviews });
@@ -0,0 +1,113 @@
+// Conversation dynamics from sentence and word timestamps: monologues, speaker
+// switches, overlaps and interruptions, customer response latency and silences.
+
+// Short acknowledgements that don't take the floor from the current speaker
+const BACKCHANNEL = /^(mm+|mhm|mm-hmm|uh-huh|yeah|yes|yep|okay|ok|right|sure|got it|i see|oh)[.!,]?$/i;
+// A sentence that trails off on a word like this was cut short ("5 years of.")
+const CUT_OFF = /(^|\s)(the|a|an|and|or|but|so|to|of|for|with|if|when|because|is|was|at|my|your|our)[.,]?$/i;
+// The next speaker coming in this soon after a cut-off sentence counts as an interruption
+const INTERRUPTION_GAP_MS = 400;
+// Pauses at least this long between sentences count as silences
+export const SILENCE_GAP_MS = 3000;
+// A monologue longer than this is flagged as an area for improvement
+export const LONG_MONOLOGUE_MS = 120000;
+
+// Timestamps of the first and last spoken word, falling back to the sentence bounds
+const speechStart = (sentence) => sentence.words?.[0]?.start ?? sentence.start;
+const speechEnd = (sentence) => sentence.words?.[sentence.words.length - 1]?.end ?? sentence.end;
+
+const isBackchannel = (sentence) => BACKCHANNEL.test(sentence.text.trim());
+
+// Dynamics of sentences[startIdx..endIdx] (inclusive; defaults to the whole call).
+// `roles` maps speakers to 'technician' | 'customer' | 'other'. Sentence indices in
+// the result refer to `sentences`:
+// { duration, speakerSwitches,
+//   longestMonologue: { speaker, duration, startIdx, endIdx } | null,
+//   overlaps: [{ sentenceIdx, duration }], interruptions: [{ sentenceIdx, interruptedIdx }],
+//   customerResponse: { average, count, longest: { latency, sentenceIdx } } | null,
+//   silences: [{ afterIdx, duration }], longestSilence, totalSilence }
+export const analyzeDynamics = (sentences, roles = {}, startIdx = 0, endIdx = sentences.length - 1) => {
+  const result = {
+    duration: 0,
+    speakerSwitches: 0,
+    longestMonologue: null,
+    overlaps: [],
+    interruptions: [],
+    customerResponse: null,
+    silences: [],
+    longestSilence: null,
+    totalSilence: 0,
+  };
+  if (endIdx < startIdx || !sentences[startIdx]) return result;
+  result.duration = sentences[endIdx].end - sentences[startIdx].start;
+
+  let monologue = { speaker: sentences[startIdx].speaker, startIdx, endIdx: startIdx };
+  const closeMonologue = () => {
+    const duration = sentences[monologue.endIdx].end - sentences[monologue.startIdx].start;
+    if (!result.longestMonologue || duration > result.longestMonologue.duration) {
+      result.longestMonologue = { ...monologue, duration };
+    }
+  };
+  const latencies = [];
+
+  for (let i = startIdx + 1; i <= endIdx; i++) {
+    const prev = sentences[i - 1];
+    const sentence = sentences[i];
+    const gap = speechStart(sentence) - speechEnd(prev);
+
+    if (gap >= SILENCE_GAP_MS) {
+      result.silences.push({ afterIdx: i - 1, duration: gap });
+      result.totalSilence += gap;
+    }
+
+    if (sentence.speaker !== prev.speaker) {
+      result.speakerSwitches += 1;
+      if (gap < 0) result.overlaps.push({ sentenceIdx: i, duration: -gap });
+      if (gap < 0 || (gap < INTERRUPTION_GAP_MS && CUT_OFF.test(prev.text.trim()))) {
+        result.interruptions.push({ sentenceIdx: i, interruptedIdx: i - 1 });
+      }
+      if (roles[prev.speaker] === 'technician' && roles[sentence.speaker] === 'customer') {
+        latencies.push({ latency: Math.max(0, gap), sentenceIdx: i });
+      }
+    }
+
+    // Another speaker's "mm-hmm" doesn't end a monologue; anything else, or a silence, does
+    if (sentence.speaker === monologue.speaker && gap < SILENCE_GAP_MS) {
+      monologue.endIdx = i;
+    } else if (gap >= SILENCE_GAP_MS || !isBackchannel(sentence)) {
+      closeMonologue();
+      monologue = { speaker: sentence.speaker, startIdx: i, endIdx: i };
+    }
+  }
+  closeMonologue();
+
+  if (latencies.length > 0) {
+    result.customerResponse = {
+      average: latencies.reduce((sum, l) => sum + l.latency, 0) / latencies.length,
+      count: latencies.length,
+      longest: latencies.reduce((best, l) => (l.latency > best.latency ? l : best)),
+    };
+  }
+  result.longestSilence = result.silences.reduce(
+    (best, s) => (!best || s.duration > best.duration ? s : best),
+    null
+  );
+  return result;
+};
+
+// Areas for improvement backed by the numbers: a monologue long enough to lose the customer
+export const describeDynamicsGaps = (dynamics, sentences, roles = {}) => {
+  const monologue = dynamics.longestMonologue;
+  if (!monologue || monologue.duration < LONG_MONOLOGUE_MS || roles[monologue.speaker] !== 'technician') return [];
+  const minutes = Math.floor(monologue.duration / 60000);
+  const seconds = Math.floor((monologue.duration % 60000) / 1000).toString().padStart(2, '0');
+  // Cite the first substantial sentence so the citation lands at the start of the monologue
+  const cited = sentences
+    .slice(monologue.startIdx, monologue.endIdx + 1)
+    .find((s) => s.speaker === monologue.speaker && s.text.split(/\s+/).length >= 5);
+  return [{
+    text: `Very lengthy explanation may be overwhelming (${minutes}:${seconds} monologue across ${monologue.endIdx - monologue.startIdx + 1} sentences)`,
+    citations: cited ? [cited.text] : [],
+    ruleId: 'long-monologue',
+  }];
+};
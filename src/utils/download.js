@@ -0,0 +1,23 @@
+// Save generated content (exports, reports) as a file through the browser
+
+export const downloadFile = (fileName, content, mimeType = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in Firefox and Safari
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets run text starting with these as a formula; numbers are left alone
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of cells (the first row being the header) as CSV text, with CRLF line endings
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
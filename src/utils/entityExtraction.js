@@ -0,0 +1,317 @@
+// Entity extraction - finds prices, monthly payments, term lengths, interest
+// rates and percentages in the transcript, including spoken forms ("three
+// thirty-five", "two grand"), and links each one to its sentence.
+
+import { charRangeToWords } from './fuzzyMatch';
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19,
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const THOUSANDS = new Set(['thousand', 'grand', 'k']);
+
+// Cue phrases read just before / after a number
+const MONTHLY_AFTER = /^\s*(?:dollars\s*)?(?:(?:a|per|each|\/)\s*month|monthly|\/\s*mo\b)/i;
+const TERM_AFTER = /^\s*(?:-\s*)?(months?|years?|payments)\b/i;
+const NOT_A_TERM_AFTER = /^\s*(?:-\s*)?years?\s+(?:ago|old)\b/i;
+const PAYMENT_AFTER_TERM = /^\s*(?:months?|years?)\s*,?\s*\$?\d/i; // "5 year 335"
+const TERM_TO_PAYMENT_GAP = /^\s*(months?|years?)\s*,?\s*\$?$/i;
+const DOWN_AFTER = /^\s*(?:dollars\s*)?down\b/i;
+const OFF_AFTER = /^\s*(?:dollars\s*)?off\b/i;
+const DOLLARS_AFTER = /^\s*(?:dollars|bucks)\b/i;
+const PERCENT_AFTER = /^\s*(?:%|percent\b)/i;
+const BALANCE_BEFORE = /balance\s+(?:of|is)?\s*$/i;
+const UNIT_AFTER = /^\s*(?:-\s*)?(?:amps?|degrees?|°|seer|days?|th|st|nd|rd|volts?|feet|ft|inch(?:es)?|tons?|btu)\b/i;
+
+// Sentence-level context
+const MONEY_WORDS = /\b(?:pay|paid|payment|price|cost|credit|charge|total|deposit|owe|fee|estimate)\w*/i;
+const FINANCING_WORDS = /\b(?:financ\w*|interest|apr|rate|autopay|loan|payments?|monthly|terms?)\b/i;
+const RATE_WORDS = /\b(?:interest|apr|rate)\b/i;
+const REBATE_WORDS = /\b(?:rebates?|incentives?|discounts?)\b/i;
+const WARRANTY_WORDS = /\b(?:warrant\w*|guarantee\w*)\b/i;
+const ZERO_INTEREST = /\b(?:no|zero|0%?)\s+interest\b|\binterest[-\s]free\b/gi;
+
+// Incentive programs, recognised in the sentence or the few sentences before it
+export const INCENTIVE_PROGRAMS = [
+  { label: 'Copper line reuse', pattern: /copper line/i },
+  { label: 'Silicon Valley Clean Energy', pattern: /silicon valley clean energy|\bsvce\b/i },
+  { label: 'TECH Clean California', pattern: /\btech\b/i },
+  { label: 'Energy Star', pattern: /energy star/i },
+  { label: 'Thermostat credit', pattern: /thermostat credit/i },
+];
+const PROGRAM_LOOKBACK = 3; // sentences
+
+// Numerals: "$1,800", "8.99", "10%", "2,000amonth" (ASR glues words on)
+const NUMERAL = /(?<![\w.])(\$\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?/g;
+
+// Value of a run of number words, e.g. ["three", "thirty", "five"] -> 335
+const parseSpokenNumber = (words) => {
+  let total = 0;
+  let current = 0;
+  let last = null;
+  words.forEach((word) => {
+    if (word === 'a') {
+      current = current || 1;
+    } else if (UNITS[word] != null) {
+      current += UNITS[word];
+      last = UNITS[word] < 10 ? 'unit' : 'teen';
+    } else if (TENS[word]) {
+      // "three thirty-five" / "nineteen ninety": hundreds said as digit groups
+      current = (last === 'unit' || last === 'teen') && current < 100 ? current * 100 + TENS[word] : current + TENS[word];
+      last = 'tens';
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+      last = 'hundred';
+    } else if (THOUSANDS.has(word)) {
+      total += (current || 1) * 1000;
+      current = 0;
+      last = 'thousand';
+    }
+  });
+  return total + current;
+};
+
+const isNumberWord = (word) =>
+  UNITS[word] != null || TENS[word] != null || word === 'hundred' || THOUSANDS.has(word);
+
+// Every number in a sentence: [{ value, start, end, text, hasDollar, isDecimal, isCommaGrouped, wordCount }]
+const findNumbers = (text) => {
+  const numbers = [];
+  for (const match of text.matchAll(NUMERAL)) {
+    const [whole, dollar, digits, decimals] = match;
+    numbers.push({
+      value: Number(digits.replace(/,/g, '') + (decimals || '')),
+      start: match.index,
+      end: match.index + whole.length,
+      text: whole,
+      hasDollar: Boolean(dollar),
+      isDecimal: Boolean(decimals),
+      isCommaGrouped: digits.includes(','),
+      wordCount: 1,
+    });
+  }
+
+  // Spoken numbers: runs of number words, allowing "a" before a scale word and "and" inside.
+  // A run stops at punctuation and at two digits in a row ("four, five years" is two numbers).
+  const words = [...text.matchAll(/[a-z]+/gi)].map((m) => ({ word: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length }));
+  const isDigitWord = (word) => UNITS[word] != null && UNITS[word] < 10;
+  const continuesRun = (j) => {
+    if (!/^[\s-]*$/.test(text.slice(words[j - 1].end, words[j].start))) return false;
+    if (isDigitWord(words[j - 1].word) && isDigitWord(words[j].word)) return false;
+    return isNumberWord(words[j].word) || (words[j].word === 'and' && isNumberWord(words[j + 1]?.word || ''));
+  };
+  for (let i = 0; i < words.length; i++) {
+    const startsRun = isNumberWord(words[i].word)
+      || (words[i].word === 'a' && (words[i + 1]?.word === 'hundred' || THOUSANDS.has(words[i + 1]?.word)));
+    if (!startsRun) continue;
+    let j = i + 1;
+    while (j < words.length && continuesRun(j)) {
+      j++;
+    }
+    const run = words.slice(i, j).map((w) => w.word).filter((w) => w !== 'and');
+    // "k" only counts straight after a number ("2 k" is caught as a numeral instead)
+    if (!(run.length === 1 && run[0] === 'k')) {
+      numbers.push({
+        value: parseSpokenNumber(run),
+        start: words[i].start,
+        end: words[j - 1].end,
+        text: text.slice(words[i].start, words[j - 1].end),
+        hasDollar: false,
+        isDecimal: false,
+        isCommaGrouped: false,
+        wordCount: run.length,
+        isSpoken: true,
+        isGrand: THOUSANDS.has(run[run.length - 1]),
+      });
+    }
+    i = j - 1;
+  }
+  return numbers.sort((a, b) => a.start - b.start);
+};
+
+// Decide what a number is from the words around it, or null to ignore it
+const classifyNumber = (number, text, context) => {
+  const before = text.slice(Math.max(0, number.start - 40), number.start);
+  const after = text.slice(number.end, number.end + 40);
+  const { value } = number;
+
+  if (UNIT_AFTER.test(after)) return null;
+  if (PERCENT_AFTER.test(after)) {
+    return { type: RATE_WORDS.test(context.window) ? 'rate' : 'percent', value };
+  }
+  if (MONTHLY_AFTER.test(after)) return { type: 'monthlyPayment', value };
+
+  const term = after.match(TERM_AFTER);
+  if (term && !NOT_A_TERM_AFTER.test(after)) {
+    if (WARRANTY_WORDS.test(text)) return null;
+    if (!FINANCING_WORDS.test(context.window) && !PAYMENT_AFTER_TERM.test(after)) return null;
+    return { type: 'term', value: /^year/i.test(term[1]) ? value * 12 : value };
+  }
+
+  // Rates are usually read without "percent": "8.99 interest", "with 9.99"
+  if (number.isDecimal && !number.hasDollar && value > 0 && value < 30 && FINANCING_WORDS.test(context.window)) {
+    return { type: 'rate', value: Math.round(value * 100) / 100 };
+  }
+
+  const isMoney = number.hasDollar
+    || number.isGrand
+    || DOLLARS_AFTER.test(after)
+    || number.isCommaGrouped
+    || (value >= 100 && MONEY_WORDS.test(text))
+    || (number.wordCount > 1 && value >= 100 && MONEY_WORDS.test(context.window));
+  if (DOWN_AFTER.test(after) && (isMoney || value >= 100)) return { type: 'amount', role: 'downPayment', value };
+  if (BALANCE_BEFORE.test(before) && value >= 100) return { type: 'amount', role: 'balance', value };
+  if (OFF_AFTER.test(after) && (isMoney || value >= 100)) return { type: 'amount', role: 'discount', value };
+  if (!isMoney) return null;
+  if (REBATE_WORDS.test(context.window)) return { type: 'amount', role: 'rebate', value };
+  if (/\bcredit/i.test(text)) return { type: 'amount', role: 'credit', value };
+  return { type: 'amount', role: null, value };
+};
+
+// Incentive program named in the sentence or just before it
+const findProgram = (sentences, sentenceIdx) => {
+  for (let i = sentenceIdx; i >= Math.max(0, sentenceIdx - PROGRAM_LOOKBACK); i--) {
+    const program = INCENTIVE_PROGRAMS.find((p) => p.pattern.test(sentences[i].text));
+    if (program) return program.label;
+  }
+  return null;
+};
+
+// Text of the sentences around `idx`, for context checks
+const windowText = (sentences, idx, radius) =>
+  sentences.slice(Math.max(0, idx - radius), idx + radius + 1).map((s) => s.text).join(' ');
+
+// Extract entities from every sentence, in transcript order:
+// [{ id, type, role, value, text, sentenceIdx, time, speaker, wordStart, wordEnd, termMonths?, program? }]
+// type: amount (dollars) | monthlyPayment (dollars) | term (months) | rate (%) | percent (%)
+export const extractEntities = (sentences) => {
+  const entities = [];
+
+  sentences.forEach((sentence, sentenceIdx) => {
+    const { text } = sentence;
+    const context = { window: windowText(sentences, sentenceIdx, 2) };
+    const numbers = findNumbers(text);
+    const found = [];
+    numbers.forEach((number, idx) => {
+      let entity = classifyNumber(number, text, context);
+
+      // "5 year 335": a number said straight after a term is the payment for that term
+      const prev = numbers[idx - 1];
+      const prevEntity = found.find((f) => f.start === prev?.start);
+      const gap = prev ? TERM_TO_PAYMENT_GAP.test(text.slice(prev.end, number.start)) : false;
+      if (gap && prevEntity?.type === 'term' && number.value >= 10 && (!entity || (entity.type === 'amount' && !entity.role))) {
+        entity = { type: 'monthlyPayment', value: number.value, termMonths: prevEntity.value };
+      }
+      if (entity) found.push({ ...entity, start: number.start, end: number.end });
+    });
+    for (const match of text.matchAll(ZERO_INTEREST)) {
+      found.push({ type: 'rate', value: 0, start: match.index, end: match.index + match[0].length });
+    }
+
+    const seen = new Set();
+    found
+      .sort((a, b) => a.start - b.start)
+      .forEach((entity) => {
+        const key = `${entity.type}:${entity.role || ''}:${entity.value}`;
+        if (seen.has(key)) return; // the same value repeated in one sentence
+        seen.add(key);
+        const words = charRangeToWords(sentence, entity.start, entity.end);
+        const isIncentive = entity.role === 'discount' || entity.role === 'rebate';
+        entities.push({
+          id: `${sentenceIdx}:${entity.start}`,
+          type: entity.type,
+          role: entity.role || null,
+          value: entity.value,
+          text: text.slice(entity.start, entity.end),
+          sentenceIdx,
+          time: words ? sentence.words[words.wordStart].start : sentence.start,
+          speaker: sentence.speaker,
+          wordStart: words?.wordStart ?? 0,
+          wordEnd: words?.wordEnd ?? sentence.words.length,
+          ...(entity.termMonths ? { termMonths: entity.termMonths } : {}),
+          ...(isIncentive ? { program: findProgram(sentences, sentenceIdx) } : {}),
+        });
+      });
+  });
+
+  return entities;
+};
+
+export const formatDollars = (value) =>
+  `$${value.toLocaleString('en-US', { maximumFractionDigits: value % 1 ? 2 : 0, minimumFractionDigits: value % 1 ? 2 : 0 })}`;
+
+// Display form of an entity's value, e.g. "$335/mo", "60 mo", "8.99%"
+export const formatEntityValue = (entity) => {
+  switch (entity.type) {
+    case 'monthlyPayment':
+      return `${formatDollars(entity.value)}/mo${entity.termMonths ? ` × ${entity.termMonths}` : ''}`;
+    case 'term':
+      return `${entity.value} mo`;
+    case 'rate':
+    case 'percent':
+      return `${entity.value}%`;
+    default:
+      return formatDollars(entity.value);
+  }
+};
+
+// Group entities that share a value: [{ value, entities }]
+const groupByValue = (entities) => {
+  const groups = [];
+  entities.forEach((entity) => {
+    const group = groups.find((g) => g.value === entity.value && g.termMonths === entity.termMonths);
+    if (group) group.entities.push(entity);
+    else groups.push({ value: entity.value, termMonths: entity.termMonths, entities: [entity] });
+  });
+  return groups;
+};
+
+// How many sentences apart a down payment and the remaining balance may be quoted
+const DOWN_BALANCE_DISTANCE = 5;
+
+// Roll extracted entities up into what the pricing and rebate cards show
+export const summarizePricing = (entities) => {
+  const byType = (type, role) => entities.filter((e) => e.type === type && (role === undefined || e.role === role));
+  const downPayments = byType('amount', 'downPayment');
+  const balances = byType('amount', 'balance');
+
+  // "$18,000 down ... remaining balance of $8,422" implies the full price
+  let impliedPrice = null;
+  downPayments.some((down) => {
+    const balance = balances.find((b) => b.sentenceIdx >= down.sentenceIdx && b.sentenceIdx - down.sentenceIdx <= DOWN_BALANCE_DISTANCE);
+    if (balance) impliedPrice = { value: down.value + balance.value, downPayment: down, balance };
+    return Boolean(balance);
+  });
+
+  const incentives = [];
+  entities
+    .filter((e) => e.role === 'discount' || e.role === 'rebate')
+    .forEach((entity) => {
+      const label = entity.program || 'Other discount';
+      const existing = incentives.find((i) => i.label === label);
+      if (existing) {
+        existing.entities.push(entity);
+        existing.min = Math.min(existing.min, entity.value);
+        existing.max = Math.max(existing.max, entity.value);
+      } else {
+        incentives.push({ label, min: entity.value, max: entity.value, entities: [entity] });
+      }
+    });
+
+  return {
+    monthlyPayments: groupByValue(byType('monthlyPayment')),
+    terms: groupByValue(byType('term')),
+    rates: groupByValue(byType('rate')),
+    downPayments: groupByValue(downPayments),
+    balances: groupByValue(balances),
+    otherAmounts: groupByValue(entities.filter((e) => e.type === 'amount' && (e.role === null || e.role === 'credit'))),
+    impliedPrice,
+    incentives,
+    incentiveTotal: {
+      min: incentives.reduce((sum, i) => sum + i.min, 0),
+      max: incentives.reduce((sum, i) => sum + i.max, 0),
+    },
+  };
+};
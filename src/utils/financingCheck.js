@@ -0,0 +1,142 @@
+// Checks the financing quoted on a call against standard loan amortization, using the
+// entities pulled from the transcript (see entityExtraction.js). A monthly payment that
+// doesn't match the price, rate and term it was quoted with is flagged.
+
+// A quoted payment within this fraction of the amortized payment counts as correct
+export const QUOTE_TOLERANCE = 0.05;
+// How many sentences before a quoted payment to look for its term, rate or down payment
+const QUOTE_CONTEXT = 4;
+
+// Fixed monthly payment that pays off `principal` over `months` at `apr` percent
+// (null without a positive term)
+export const amortizedPayment = (principal, apr, months) => {
+  if (!(months > 0)) return null;
+  const r = apr / 100 / 12;
+  if (r === 0) return principal / months;
+  return (principal * r) / (1 - (1 + r) ** -months);
+};
+
+// Principal that a monthly payment pays off at `apr` over `months` (inverse of the above)
+export const principalForPayment = (payment, apr, months) => {
+  const r = apr / 100 / 12;
+  if (r === 0) return payment * months;
+  return (payment * (1 - (1 + r) ** -months)) / r;
+};
+
+// Latest entity said at or up to `distance` sentences before `sentenceIdx`
+const nearestBefore = (entities, sentenceIdx, distance = QUOTE_CONTEXT) =>
+  entities
+    .filter((e) => e.sentenceIdx <= sentenceIdx && sentenceIdx - e.sentenceIdx <= distance)
+    .reduce((best, e) => (!best || e.sentenceIdx >= best.sentenceIdx ? e : best), null);
+
+// Loan offers mentioned on the call: a rate said alongside a term ("120 month, 8.99
+// interest") in the same or an adjacent sentence. [{ termMonths, rate, term, rateEntity }]
+const findOffers = (terms, rates) => {
+  const offers = [];
+  rates.forEach((rateEntity) => {
+    const term = terms
+      .filter((t) => Math.abs(t.sentenceIdx - rateEntity.sentenceIdx) <= 1)
+      .sort((a, b) => Math.abs(a.sentenceIdx - rateEntity.sentenceIdx) - Math.abs(b.sentenceIdx - rateEntity.sentenceIdx))[0];
+    if (!term || !(term.value > 0)) return;
+    if (offers.some((o) => o.termMonths === term.value && o.rate === rateEntity.value)) return;
+    offers.push({ termMonths: term.value, rate: rateEntity.value, term, rateEntity });
+  });
+  return offers;
+};
+
+// Rate quoted for a term: the offer for that term mentioned last before the quote
+// (or first after it), otherwise any rate said just before the quote
+const findRate = (offers, rates, termMonths, sentenceIdx) => {
+  const forTerm = offers.filter((o) => o.termMonths === termMonths);
+  const offer = forTerm.filter((o) => o.rateEntity.sentenceIdx <= sentenceIdx).pop() || forTerm[0];
+  return offer ? offer.rateEntity : nearestBefore(rates, sentenceIdx);
+};
+
+// Check every quoted monthly payment on the call. `pricing` is the summarizePricing()
+// result, whose implied system price is the amount being financed. Returns
+// { principal, offers, quotes, flaggedCount }, where each quote is
+// { id, status: 'ok' | 'mismatch' | 'incomplete', reason, payment, termMonths, rate,
+//   downPayment, financed, expectedPayment, expectedTotal, quotedTotal, coveredPrincipal,
+//   difference, matchingOffer, entities }
+export const checkFinancing = (entities, pricing) => {
+  const terms = entities.filter((e) => e.type === 'term');
+  const rates = entities.filter((e) => e.type === 'rate');
+  const downPayments = entities.filter((e) => e.type === 'amount' && e.role === 'downPayment');
+  const price = pricing.impliedPrice;
+  const offers = findOffers(terms, rates);
+
+  const quotes = entities
+    .filter((e) => e.type === 'monthlyPayment')
+    .map((payment) => {
+      const termEntity = payment.termMonths
+        ? terms.find((t) => t.sentenceIdx === payment.sentenceIdx && t.value === payment.termMonths) || null
+        : nearestBefore(terms, payment.sentenceIdx);
+      const termMonths = [payment.termMonths, termEntity?.value].find((months) => months > 0) || null;
+      const rateEntity = termMonths ? findRate(offers, rates, termMonths, payment.sentenceIdx) : null;
+      const rate = rateEntity ? rateEntity.value : null;
+      // The down payment that defines the price is part of it, not money off this loan
+      const downEntity = nearestBefore(
+        downPayments.filter((d) => d !== price?.downPayment),
+        payment.sentenceIdx
+      );
+      const financed = price ? price.value - (downEntity?.value || 0) : null;
+
+      const quote = {
+        id: payment.id,
+        payment,
+        termMonths,
+        rate,
+        downPayment: downEntity,
+        financed,
+        expectedPayment: null,
+        expectedTotal: null,
+        quotedTotal: termMonths ? payment.value * termMonths : null,
+        coveredPrincipal: null,
+        difference: null,
+        matchingOffer: null,
+        entities: [payment, termEntity, rateEntity, downEntity].filter(Boolean),
+      };
+
+      if (!termMonths) return { ...quote, status: 'incomplete', reason: 'No loan term was quoted with this payment.' };
+      if (rate === null) return { ...quote, status: 'incomplete', reason: `No interest rate was quoted for the ${termMonths}-month term.` };
+      quote.coveredPrincipal = principalForPayment(payment.value, rate, termMonths);
+      if (financed === null) {
+        return { ...quote, status: 'incomplete', reason: 'No system price was stated to check this payment against.' };
+      }
+      if (financed <= 0) {
+        return { ...quote, status: 'incomplete', reason: 'The down payment covers the whole system price, so nothing is left to finance.' };
+      }
+
+      quote.expectedPayment = amortizedPayment(financed, rate, termMonths);
+      quote.expectedTotal = quote.expectedPayment * termMonths;
+      quote.difference = (payment.value - quote.expectedPayment) / quote.expectedPayment;
+      if (Math.abs(quote.difference) <= QUOTE_TOLERANCE) return { ...quote, status: 'ok', reason: null };
+
+      // A payment that fits another offer was most likely quoted for the wrong term
+      const fits = offers.find((o) => o.termMonths !== termMonths
+        && Math.abs(payment.value / amortizedPayment(financed, o.rate, o.termMonths) - 1) <= QUOTE_TOLERANCE);
+      let reason = `The payment is ${quote.difference > 0 ? 'higher' : 'lower'} than this rate and term work out to.`;
+      if (fits) reason = `The payment matches the ${fits.termMonths}-month offer at ${fits.rate}%, not ${termMonths} months.`;
+      else if (quote.quotedTotal < financed) reason = 'The payments add up to less than the amount financed.';
+      return { ...quote, status: 'mismatch', reason, matchingOffer: fits || null };
+    });
+
+  // What each offer would cost on the financed amount, for comparison
+  const principal = price && price.value > 0 ? price.value : null;
+  const offerCosts = offers.map((offer) => {
+    const payment = principal === null ? null : amortizedPayment(principal, offer.rate, offer.termMonths);
+    return {
+      ...offer,
+      payment,
+      totalCost: payment === null ? null : payment * offer.termMonths,
+      totalInterest: payment === null ? null : payment * offer.termMonths - principal,
+    };
+  });
+
+  return {
+    principal: price ? { value: price.value, entities: [price.downPayment, price.balance] } : null,
+    offers: offerCosts,
+    quotes,
+    flaggedCount: quotes.filter((q) => q.status === 'mismatch').length,
+  };
+};
@@ -0,0 +1,176 @@
+// ASR-tolerant text matching. Text is compared token by token after normalization,
+// so case, punctuation and small misspellings ("warrenty" for "warranty") still match.
+
+// A transcript token counts as the query token at or above this similarity
+const TOKEN_MATCH_THRESHOLD = 0.75;
+// Below this length a single edit changes the word ("wife"/"wire"), so short
+// tokens only match exactly or by suffix ("pump"/"pumps")
+const SHORT_TOKEN_LENGTH = 5;
+// Score cost of a query word missing from the transcript, or an extra transcript word
+const SKIP_PENALTY = 0.25;
+
+// Lowercase and strip punctuation, keeping $ and % which carry meaning in prices
+export const normalizeToken = (word) => word.toLowerCase().replace(/[^a-z0-9$%]/g, '');
+
+// Fraction of query tokens that must appear verbatim in a window before it is aligned
+const MIN_TOKEN_OVERLAP = 0.5;
+
+const sentenceTokens = new WeakMap();
+
+// One normalized token per entry in `sentence.words`, so token spans map onto words
+export const tokenizeSentence = (sentence) => {
+  if (!sentenceTokens.has(sentence)) {
+    const words = sentence.words?.length ? sentence.words.map((w) => w.text) : sentence.text.split(/\s+/);
+    sentenceTokens.set(sentence, words.map(normalizeToken));
+  }
+  return sentenceTokens.get(sentence);
+};
+
+// Character range of each word within `sentence.text`: [{ start, end }]
+export const getWordOffsets = (sentence) => {
+  let cursor = 0;
+  return sentence.words.map((word) => {
+    const at = sentence.text.indexOf(word.text, cursor);
+    const start = at === -1 ? cursor : at;
+    cursor = start + word.text.length;
+    return { start, end: cursor };
+  });
+};
+
+// Word index range covering a character range of `sentence.text`, or null
+export const charRangeToWords = (sentence, start, end) => {
+  const covered = getWordOffsets(sentence)
+    .map((offset, idx) => (offset.start < end && offset.end > start ? idx : -1))
+    .filter((idx) => idx !== -1);
+  return covered.length ? { wordStart: covered[0], wordEnd: covered[covered.length - 1] + 1 } : null;
+};
+
+export const tokenizeQuery = (text) => text.split(/\s+/).map(normalizeToken).filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+// 0..1, where 1 is identical
+export const tokenSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Best local alignment of the query tokens within `tokens`: matched words earn their
+// similarity, skipped or extra words cost SKIP_PENALTY. Returns { score, start, end }
+// (token range, end exclusive, score 0..1) or null. With `prefixLast`, the last query
+// token also matches any word it starts, for search-as-you-type.
+export const alignTokens = (queryTokens, tokens, { prefixLast = false } = {}) => {
+  const m = queryTokens.length;
+  const n = tokens.length;
+  if (m === 0 || n === 0) return null;
+
+  const pairScore = (j, i) => {
+    const q = queryTokens[j];
+    const t = tokens[i];
+    if (prefixLast && j === m - 1 && t.startsWith(q)) return 1;
+    // Edit distance is at least the length difference, so skip hopeless pairs cheaply
+    if (Math.abs(q.length - t.length) > Math.max(q.length, t.length) * (1 - TOKEN_MATCH_THRESHOLD)) return 0;
+    const sim = tokenSimilarity(q, t);
+    if (sim < TOKEN_MATCH_THRESHOLD) return 0;
+    if (Math.min(q.length, t.length) < SHORT_TOKEN_LENGTH && !t.startsWith(q) && !q.startsWith(t)) return 0;
+    return sim;
+  };
+
+  // cells[j][i] = { score, start } for the first j query tokens ending before token i
+  let prev = Array.from({ length: n + 1 }, (_, i) => ({ score: 0, start: i }));
+  for (let j = 1; j <= m; j++) {
+    const row = [{ score: prev[0].score - SKIP_PENALTY, start: 0 }];
+    for (let i = 1; i <= n; i++) {
+      const candidates = [
+        { score: prev[i - 1].score + pairScore(j - 1, i - 1), start: prev[i - 1].start },
+        { score: prev[i].score - SKIP_PENALTY, start: prev[i].start },
+      ];
+      // Extra transcript words only count inside the span; empty tokens (stray punctuation) are free
+      if (j < m || !tokens[i - 1]) {
+        candidates.push({ score: row[i - 1].score - (tokens[i - 1] ? SKIP_PENALTY : 0), start: row[i - 1].start });
+      }
+      row[i] = candidates.reduce((best, c) => (c.score > best.score ? c : best));
+    }
+    prev = row;
+  }
+
+  let end = 0;
+  for (let i = 1; i <= n; i++) {
+    if (prev[i].score > prev[end].score) end = i;
+  }
+  const { score, start } = prev[end];
+  if (score <= 0 || end <= start) return null;
+  return { score: Math.min(1, score / m), start, end };
+};
+
+// Sentences matching a free-text query, in transcript order:
+// [{ sentenceIdx, sentence, score, wordStart, wordEnd }]. `speaker` limits the search to one speaker.
+export const searchSentences = (sentences, query, { speaker = null, minScore = TOKEN_MATCH_THRESHOLD } = {}) => {
+  const queryTokens = tokenizeQuery(query);
+  if (queryTokens.length === 0) return [];
+
+  const results = [];
+  sentences.forEach((sentence, sentenceIdx) => {
+    if (speaker && sentence.speaker !== speaker) return;
+    const match = alignTokens(queryTokens, tokenizeSentence(sentence), { prefixLast: true });
+    if (match && match.score >= minScore) {
+      results.push({ sentenceIdx, sentence, score: match.score, wordStart: match.start, wordEnd: match.end });
+    }
+  });
+  return results;
+};
+
+// Token range where the query appears verbatim (ignoring empty tokens), or null
+const findExactSpan = (queryTokens, tokens) => {
+  const positions = tokens.map((t, i) => (t ? i : -1)).filter((i) => i !== -1);
+  for (let p = 0; p + queryTokens.length <= positions.length; p++) {
+    if (queryTokens.every((q, k) => tokens[positions[p + k]] === q)) {
+      return { score: 1, start: positions[p], end: positions[p + queryTokens.length - 1] + 1 };
+    }
+  }
+  return null;
+};
+
+// Best match of the query within `count` consecutive sentences starting at `firstIdx`, or null:
+// { score, spans: [{ sentenceIdx, wordStart, wordEnd }] }, one span per sentence the match touches
+export const matchSentenceWindow = (queryTokens, sentences, firstIdx, count = 1) => {
+  const window = sentences.slice(firstIdx, firstIdx + count);
+  const offsets = [];
+  const tokens = [];
+  window.forEach((sentence) => {
+    offsets.push(tokens.length);
+    tokens.push(...tokenizeSentence(sentence));
+  });
+
+  let match = findExactSpan(queryTokens, tokens);
+  if (!match) {
+    const present = new Set(tokens);
+    const overlap = queryTokens.filter((q) => present.has(q)).length;
+    if (overlap < queryTokens.length * MIN_TOKEN_OVERLAP) return null;
+    match = alignTokens(queryTokens, tokens);
+  }
+  if (!match) return null;
+
+  const spans = [];
+  window.forEach((sentence, k) => {
+    const from = offsets[k];
+    const to = from + tokenizeSentence(sentence).length;
+    const wordStart = Math.max(match.start, from);
+    const wordEnd = Math.min(match.end, to);
+    if (wordStart < wordEnd) {
+      spans.push({ sentenceIdx: firstIdx + k, wordStart: wordStart - from, wordEnd: wordEnd - from });
+    }
+  });
+  return { score: match.score, spans };
+};
@@ -0,0 +1,159 @@
+// Keyword taxonomy - the topics counted and highlighted in the transcript.
+// Defaults live in src/config/keywordTaxonomy.json; edits are kept in IndexedDB
+// and can be shared as JSON files.
+
+import DEFAULT_TAXONOMY from '../config/keywordTaxonomy.json';
+import { STORES, getRecord, putRecord } from './localStore';
+import { charRangeToWords } from './fuzzyMatch';
+
+export { DEFAULT_TAXONOMY };
+
+const SETTINGS_ID = 'keywordTaxonomy';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pattern for a word and its plural/inflected forms ("rebate" -> rebates, rebated)
+const stemPattern = (word) => {
+  if (/[^aeiou]y$/i.test(word)) return `${escapeRegex(word.slice(0, -1))}(?:y|ies|ied)`;
+  const base = word.length > 4 ? word.replace(/(?:ing|ed|es|e|s)$/i, '') : word;
+  return `${escapeRegex(base)}(?:e|es|s|ed|ing|ings)?`;
+};
+
+// Pattern for a phrase; spaces and hyphens between words are interchangeable
+const phrasePattern = (phrase, stem) => {
+  const words = phrase.trim().split(/[\s-]+/);
+  return words
+    .map((word, idx) => (stem && idx === words.length - 1 ? stemPattern(word) : escapeRegex(word)))
+    .join('[\\s-]*');
+};
+
+// Check a taxonomy (e.g. from an imported file) and fill in optional fields.
+// Throws an Error with a readable message on the first problem found.
+export const validateTaxonomy = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.categories)) {
+    throw new Error('Expected a keyword taxonomy: { "categories": [...] }');
+  }
+  const seenTerms = new Set();
+  const categories = data.categories.map((category, c) => {
+    const where = `Category ${c + 1}`;
+    if (!category || typeof category.name !== 'string' || !category.name.trim()) {
+      throw new Error(`${where} needs a "name"`);
+    }
+    if (!HEX_COLOR.test(category.color || '')) {
+      throw new Error(`${where} (${category.name}) needs a "color" like "#0d9488"`);
+    }
+    if (!Array.isArray(category.terms)) throw new Error(`${where} (${category.name}) needs a "terms" array`);
+
+    const terms = category.terms.map((term, t) => {
+      const termWhere = `${category.name}, term ${t + 1}`;
+      if (!term || typeof term.term !== 'string' || !term.term.trim()) throw new Error(`${termWhere} needs a "term"`);
+      const key = term.term.trim().toLowerCase();
+      if (seenTerms.has(key)) throw new Error(`"${term.term}" is listed more than once`);
+      seenTerms.add(key);
+
+      const synonyms = term.synonyms ?? [];
+      if (!Array.isArray(synonyms) || synonyms.some((s) => typeof s !== 'string')) {
+        throw new Error(`${termWhere} (${term.term}) has "synonyms" that are not a list of strings`);
+      }
+      if (term.regex) {
+        try {
+          new RegExp(term.regex, 'i');
+        } catch (err) {
+          throw new Error(`${termWhere} (${term.term}) has an invalid regex: ${err.message}`);
+        }
+      }
+      return {
+        term: term.term.trim(),
+        synonyms: synonyms.map((s) => s.trim()).filter(Boolean),
+        stem: Boolean(term.stem),
+        ...(term.regex ? { regex: term.regex } : {}),
+      };
+    });
+
+    return {
+      id: category.id || category.name.trim().toLowerCase().replace(/\W+/g, '-'),
+      name: category.name.trim(),
+      color: category.color,
+      terms,
+    };
+  });
+  return { version: 1, description: data.description || DEFAULT_TAXONOMY.description, categories };
+};
+
+// Flatten a taxonomy into matchable terms: [{ term, category, categoryName, color, regex }]
+export const compileTaxonomy = (taxonomy = DEFAULT_TAXONOMY) =>
+  taxonomy.categories.flatMap((category) =>
+    category.terms.map((term) => {
+      const parts = [term.term, ...(term.synonyms || [])].map((phrase) => phrasePattern(phrase, term.stem));
+      if (term.regex) parts.push(term.regex);
+      return {
+        term: term.term,
+        category: category.id,
+        categoryName: category.name,
+        color: category.color,
+        regex: new RegExp(`(?<!\\w)(?:${parts.join('|')})(?!\\w)`, 'gi'),
+      };
+    })
+  );
+
+// Non-overlapping keyword matches in a text, in order: [{ start, end, keyword }]
+export const findKeywordSpans = (text, compiledTerms) => {
+  const spans = [];
+  compiledTerms.forEach((keyword) => {
+    keyword.regex.lastIndex = 0;
+    let match;
+    while ((match = keyword.regex.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        keyword.regex.lastIndex += 1;
+        continue;
+      }
+      spans.push({ start: match.index, end: match.index + match[0].length, keyword });
+    }
+  });
+  // Earliest first, longest first on ties; drop anything overlapping an earlier match
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  spans.forEach((span) => {
+    if (kept.length === 0 || span.start >= kept[kept.length - 1].end) kept.push(span);
+  });
+  return kept;
+};
+
+// Word index ranges of one keyword's matches in a sentence: [{ wordStart, wordEnd }] (end exclusive)
+export const findKeywordWordSpans = (sentence, keyword) =>
+  findKeywordSpans(sentence.text, [keyword])
+    .map(({ start, end }) => charRangeToWords(sentence, start, end))
+    .filter(Boolean);
+
+// The keyword each word of a sentence is part of (null where none), for word-by-word rendering
+export const findKeywordWords = (sentence, compiledTerms) => {
+  const byWord = new Array(sentence.words.length).fill(null);
+  findKeywordSpans(sentence.text, compiledTerms).forEach(({ start, end, keyword }) => {
+    const words = charRangeToWords(sentence, start, end);
+    if (!words) return;
+    for (let i = words.wordStart; i < words.wordEnd; i++) byWord[i] = keyword;
+  });
+  return byWord;
+};
+
+export const taxonomyToJson = (taxonomy) => JSON.stringify(taxonomy, null, 2);
+
+export const readTaxonomyFile = async (file) => {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return validateTaxonomy(data);
+};
+
+// The saved taxonomy, or null when the defaults have never been edited
+export const loadKeywordTaxonomy = async () => {
+  const record = await getRecord(STORES.settings, SETTINGS_ID);
+  return record?.taxonomy || null;
+};
+
+export const saveKeywordTaxonomy = (taxonomy) =>
+  putRecord(STORES.settings, { id: SETTINGS_ID, taxonomy });
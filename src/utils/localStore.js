@@ -0,0 +1,78 @@
+// Browser-local persistence (IndexedDB). Nothing stored here ever leaves the browser.
+
+const DB_NAME = 'noso-call-analysis';
+const DB_VERSION = 8;
+
+// Object stores, keyed by `id`. Adding a store means bumping DB_VERSION.
+export const STORES = {
+  importedCalls: 'importedCalls',
+  confidenceReviews: 'confidenceReviews', // keyed by call id
+  speakerProfiles: 'speakerProfiles', // keyed by call id
+  annotations: 'annotations', // keyed by call id
+  stageBoundaries: 'stageBoundaries', // keyed by call id
+  analysisEdits: 'analysisEdits', // keyed by call id
+  transcriptRevisions: 'transcriptRevisions', // keyed by call id
+  settings: 'settings', // app-wide preferences, keyed by setting name
+};
+
+// Stores holding one record per call, cleared when the call is removed
+export const CALL_STORES = [
+  STORES.speakerProfiles,
+  STORES.confidenceReviews,
+  STORES.annotations,
+  STORES.stageBoundaries,
+  STORES.analysisEdits,
+  STORES.transcriptRevisions,
+];
+
+let dbPromise = null;
+
+// Open (and upgrade if needed) the shared database
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+};
+
+// Run a single request against a store and resolve with its result
+const withStore = async (storeName, mode, run) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = run(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const getAllRecords = (storeName) =>
+  withStore(storeName, 'readonly', (store) => store.getAll());
+
+export const getRecord = (storeName, id) =>
+  withStore(storeName, 'readonly', (store) => store.get(id));
+
+export const putRecord = (storeName, record) =>
+  withStore(storeName, 'readwrite', (store) => store.put(record));
+
+export const deleteRecord = (storeName, id) =>
+  withStore(storeName, 'readwrite', (store) => store.delete(id));
+
+// Drop everything saved for one call
+export const deleteCallRecords = (callId) =>
+  Promise.all(CALL_STORES.map((storeName) => deleteRecord(storeName, callId)));
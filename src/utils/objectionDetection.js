@@ -0,0 +1,137 @@
+// Objection detection - finds customer objections using the catalog in
+// src/config/objectionCatalog.json and checks whether the technician's next turns
+// acknowledged, clarified or countered each one.
+
+import DEFAULT_OBJECTIONS from '../config/objectionCatalog.json';
+import { classifyQuestion, isQuestion } from './questionDetection';
+
+export { DEFAULT_OBJECTIONS };
+
+// How many of the technician's turns after an objection count as the response
+export const RESPONSE_TURNS = 3;
+
+export const HANDLING_STEPS = {
+  acknowledged: 'Acknowledged',
+  clarified: 'Clarified',
+  countered: 'Countered',
+};
+
+export const OBJECTION_OUTCOMES = {
+  handled: 'Handled',
+  acknowledged: 'Acknowledged only',
+  unanswered: 'Unanswered',
+};
+
+const compilePatterns = (patterns = []) => patterns.map((pattern) => new RegExp(pattern, 'i'));
+
+const matchesAny = (regexes, text) => regexes.some((regex) => regex.test(text));
+
+// Turn the catalog's pattern strings into regexes
+export const compileObjectionCatalog = (catalog = DEFAULT_OBJECTIONS) => ({
+  categories: catalog.categories.map((category) => ({
+    id: category.id,
+    name: category.name,
+    icon: category.icon,
+    patterns: compilePatterns(category.patterns),
+    counters: compilePatterns(category.counters),
+  })),
+  acknowledged: compilePatterns(catalog.responses.acknowledged),
+  clarified: compilePatterns(catalog.responses.clarified),
+  countered: compilePatterns(catalog.responses.countered),
+});
+
+// Runs of consecutive sentences by the same speaker: [{ speaker, startIdx, endIdx }]
+const splitTurns = (sentences) => {
+  const turns = [];
+  sentences.forEach((sentence, idx) => {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === sentence.speaker) last.endIdx = idx;
+    else turns.push({ speaker: sentence.speaker, startIdx: idx, endIdx: idx });
+  });
+  return turns;
+};
+
+// A clarifying response asks the customer to say more: an open question, or a
+// catalog phrase like "is it the price?"
+const isClarifying = (text, compiled) =>
+  matchesAny(compiled.clarified, text) || (isQuestion(text) && classifyQuestion(text).form === 'open');
+
+// First sentence in the response that takes each handling step:
+// { acknowledged, clarified, countered } (sentence indices or null)
+const assessResponse = (sentences, response, categories, compiled) => {
+  const counters = [...compiled.countered, ...categories.flatMap((c) => c.counters)];
+  const handling = { acknowledged: null, clarified: null, countered: null };
+  response.forEach((idx) => {
+    const text = sentences[idx].text;
+    if (handling.acknowledged === null && matchesAny(compiled.acknowledged, text)) handling.acknowledged = idx;
+    if (handling.clarified === null && isClarifying(text, compiled)) handling.clarified = idx;
+    if (handling.countered === null && matchesAny(counters, text)) handling.countered = idx;
+  });
+  return handling;
+};
+
+// Customer objections across the whole call, in transcript order. Each customer turn
+// with a catalog match is one objection, tagged with every kind it raised:
+// [{ id, speaker, time, sentenceIdxs, categories: [{ id, name, icon }],
+//    response: { startIdx, endIdx } | null, handling: { acknowledged, clarified, countered },
+//    outcome: 'handled' | 'acknowledged' | 'unanswered' }]
+// The response is the technician's next RESPONSE_TURNS turns, stopping at the next objection.
+export const detectObjections = (sentences, roles = {}, catalog = DEFAULT_OBJECTIONS) => {
+  if (!sentences || sentences.length === 0) return [];
+  const compiled = compileObjectionCatalog(catalog);
+  const turns = splitTurns(sentences);
+
+  const found = [];
+  turns.forEach((turn, turnIdx) => {
+    if (roles[turn.speaker] !== 'customer') return;
+    const sentenceIdxs = [];
+    const categories = [];
+    for (let i = turn.startIdx; i <= turn.endIdx; i++) {
+      const matched = compiled.categories.filter((category) => matchesAny(category.patterns, sentences[i].text));
+      if (matched.length === 0) continue;
+      sentenceIdxs.push(i);
+      matched.forEach((category) => {
+        if (!categories.includes(category)) categories.push(category);
+      });
+    }
+    if (sentenceIdxs.length > 0) found.push({ turnIdx, speaker: turn.speaker, sentenceIdxs, categories });
+  });
+
+  return found.map((objection, n) => {
+    const stopTurn = found[n + 1]?.turnIdx ?? turns.length;
+    const response = turns
+      .slice(objection.turnIdx + 1, stopTurn)
+      .filter((turn) => roles[turn.speaker] === 'technician')
+      .slice(0, RESPONSE_TURNS)
+      .flatMap((turn) => Array.from({ length: turn.endIdx - turn.startIdx + 1 }, (_, k) => turn.startIdx + k));
+    const handling = assessResponse(sentences, response, objection.categories, compiled);
+    let outcome = 'unanswered';
+    if (handling.clarified !== null || handling.countered !== null) outcome = 'handled';
+    else if (handling.acknowledged !== null) outcome = 'acknowledged';
+
+    return {
+      id: `objection-${objection.sentenceIdxs[0]}`,
+      speaker: objection.speaker,
+      time: sentences[objection.sentenceIdxs[0]].start,
+      sentenceIdxs: objection.sentenceIdxs,
+      categories: objection.categories.map(({ id, name, icon }) => ({ id, name, icon })),
+      response: response.length > 0 ? { startIdx: response[0], endIdx: response[response.length - 1] } : null,
+      handling,
+      outcome,
+    };
+  });
+};
+
+// Areas for improvement for objections the technician never really answered
+export const describeObjectionGaps = (objections, sentences) =>
+  objections
+    .filter((objection) => objection.outcome !== 'handled')
+    .map((objection) => {
+      const kinds = objection.categories.map((c) => c.name.toLowerCase()).join(' and ');
+      const treatment = objection.outcome === 'acknowledged' ? 'only acknowledged' : 'not addressed';
+      return {
+        text: `Customer's ${kinds} objection was ${treatment}`,
+        citations: objection.sentenceIdxs.map((idx) => sentences[idx].text),
+        ruleId: 'unhandled-objection',
+      };
+    });
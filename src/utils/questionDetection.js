@@ -0,0 +1,82 @@
+// Question detection. Every speaker's questions are found; the technician's are also
+// classified as open or closed, and as discovery (learning about the customer) or
+// confirmation (checking understanding or agreement).
+
+// Discourse markers that can precede a question ("So, do you…", "And what…")
+const LEAD_IN = "(?:(?:so|and|but|okay|ok|oh|well|now|actually|also),?\\s+)*";
+const AUX = '(?:do|does|did|is|are|was|were|can|could|would|will|should|have|has|had|may|might)';
+const SUBJECT = '(?:you|it|that|this|there|we|i|they|he|she|your|the)';
+
+// Questions the ASR didn't punctuate: inverted word order ("are you familiar with…",
+// "what is the monthly payment…"), or a request to open up ("tell me about…")
+const INVERTED = new RegExp(`^${LEAD_IN}(?:${AUX}\\s+${SUBJECT}|(?:what|why|how|when|where|who|which)\\s+${AUX})\\b`, 'i');
+const PROMPT = new RegExp(`^${LEAD_IN}(?:tell me (?:more )?about|walk me through|describe|help me understand)\\b`, 'i');
+// Questions that don't expect an answer
+const RHETORICAL = new RegExp(`^${LEAD_IN}(?:you know what|guess what|hello|how about this|where did i put)\\b`, 'i');
+
+// Open questions can't be answered with yes/no or a single fact
+const OPEN_START = new RegExp(`^${LEAD_IN}(?:what|why|how(?! (?:many|much|long|old|often)\\b)|tell me|walk me|describe|help me understand)\\b`, 'i');
+// Checking that the customer followed or agrees
+const CONFIRMATION = /\b(makes? sense|sounds? good|does that (work|sound)|is that (right|correct|okay|ok|clear)|are you with me|follow me|any (other )?questions|fair enough|did i (miss|answer)|to confirm|are we good)\b/i;
+const TAG_QUESTION = /,\s*(right|okay|ok|correct|yeah|yes|no)\?$/i;
+
+export const QUESTION_FORMS = { open: 'Open', closed: 'Closed' };
+export const QUESTION_PURPOSES = { discovery: 'Discovery', confirmation: 'Confirmation' };
+
+// Is this sentence a genuine question?
+export const isQuestion = (text) => {
+  const trimmed = text.trim();
+  if (RHETORICAL.test(trimmed)) return false;
+  return trimmed.endsWith('?') || INVERTED.test(trimmed) || PROMPT.test(trimmed);
+};
+
+// { form: 'open' | 'closed', purpose: 'discovery' | 'confirmation' }
+export const classifyQuestion = (text) => {
+  const trimmed = text.trim();
+  const form = OPEN_START.test(trimmed) ? 'open' : 'closed';
+  const purpose = form === 'closed' && (TAG_QUESTION.test(trimmed) || CONFIRMATION.test(trimmed))
+    ? 'confirmation'
+    : 'discovery';
+  return { form, purpose };
+};
+
+// Questions in sentences[startIdx..endIdx], in transcript order. Technician questions
+// carry a form and purpose; everyone else's have them null:
+// [{ sentenceIdx, speaker, role, text, time, form, purpose }]
+export const detectQuestions = (sentences, roles = {}, startIdx = 0, endIdx = sentences.length - 1) => {
+  const questions = [];
+  for (let i = startIdx; i <= endIdx; i++) {
+    const sentence = sentences[i];
+    if (!sentence || !isQuestion(sentence.text)) continue;
+    const role = roles[sentence.speaker] || null;
+    const { form, purpose } = role === 'technician' ? classifyQuestion(sentence.text) : { form: null, purpose: null };
+    questions.push({
+      sentenceIdx: i,
+      speaker: sentence.speaker,
+      role,
+      text: sentence.text,
+      time: sentence.start,
+      form,
+      purpose,
+    });
+  }
+  return questions;
+};
+
+// Counts per speaker, plus the technician breakdown:
+// { total, bySpeaker: { [speaker]: n }, technician: { total, open, closed, discovery, confirmation } }
+export const summarizeQuestions = (questions) => {
+  const summary = {
+    total: questions.length,
+    bySpeaker: {},
+    technician: { total: 0, open: 0, closed: 0, discovery: 0, confirmation: 0 },
+  };
+  questions.forEach((q) => {
+    summary.bySpeaker[q.speaker] = (summary.bySpeaker[q.speaker] || 0) + 1;
+    if (q.role !== 'technician') return;
+    summary.technician.total += 1;
+    summary.technician[q.form] += 1;
+    summary.technician[q.purpose] += 1;
+  });
+  return summary;
+};
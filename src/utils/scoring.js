@@ -0,0 +1,73 @@
+// Scoring rubric - computes stage scores from checklist results and rolls
+// them up into the overall call score (weights in src/config/scoringRubric.json)
+
+import DEFAULT_RUBRIC from '../config/scoringRubric.json';
+
+export { DEFAULT_RUBRIC };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// Map a 0-10 score to the status used for colouring (excellent/good/partial/missed)
+export const getScoreStatus = (score, rubric = DEFAULT_RUBRIC) => {
+  if (score == null) return 'missed';
+  const match = rubric.statusThresholds.find((t) => score >= t.min);
+  return match ? match.status : 'missed';
+};
+
+// Score one stage from its checklist results ({ id, label, weight, passed }).
+// Returns null score when the stage has no checklist items.
+export const scoreStage = (checklist, rubric = DEFAULT_RUBRIC) => {
+  const possible = checklist.reduce((sum, item) => sum + item.weight, 0);
+  const earned = checklist.filter((item) => item.passed).reduce((sum, item) => sum + item.weight, 0);
+  const score = possible > 0 ? round1((earned / possible) * 10) : null;
+  return {
+    score,
+    status: getScoreStatus(score, rubric),
+    earned,
+    possible,
+    passedCount: checklist.filter((item) => item.passed).length,
+    itemCount: checklist.length,
+  };
+};
+
+// Weighted roll-up of stage scores into the overall call score
+export const scoreCall = (stages, rubric = DEFAULT_RUBRIC) => {
+  const breakdown = stages
+    .filter((stage) => stage.score != null)
+    .map((stage) => {
+      const weight = rubric.stageWeights[stage.id] ?? 1;
+      return {
+        stageId: stage.id,
+        name: stage.name,
+        score: stage.score,
+        weight,
+        contribution: stage.score * weight,
+      };
+    });
+  const totalWeight = breakdown.reduce((sum, row) => sum + row.weight, 0);
+  const overallScore = totalWeight > 0
+    ? round1(breakdown.reduce((sum, row) => sum + row.contribution, 0) / totalWeight)
+    : null;
+  return {
+    overallScore,
+    status: getScoreStatus(overallScore, rubric),
+    totalWeight,
+    breakdown,
+  };
+};
+
+// One-line explanation of how a stage score was derived
+export const describeStageScore = (stage) => {
+  if (stage.score == null) return 'No checklist items for this stage';
+  const { earned, possible, passedCount, itemCount } = stage.scoreDetails;
+  return `${passedCount}/${itemCount} checklist items passed · ${earned}/${possible} pts × 10 = ${stage.score}`;
+};
+
+// Multi-line explanation of the overall roll-up
+export const describeCallScore = (callScore) => {
+  if (callScore.overallScore == null) return 'No stages could be scored';
+  const lines = callScore.breakdown.map(
+    (row) => `${row.name}: ${row.score} × ${row.weight}`
+  );
+  return `Weighted average of stage scores (score × weight ÷ ${callScore.totalWeight}): ${lines.join(', ')} = ${callScore.overallScore}`;
+};
@@ -0,0 +1,152 @@
+// Speaker roles (technician / customer / other) inferred from what each speaker says,
+// plus the per-call speaker profiles (name and role) a reviewer can edit.
+
+import { STORES, getRecord, putRecord } from './localStore';
+
+export const SPEAKER_ROLES = {
+  technician: 'Technician',
+  customer: 'Customer',
+  other: 'Other',
+};
+
+// Lines that suggest who is talking. Each matching sentence adds its weight to the
+// speaker's score for that role.
+const ROLE_CUES = {
+  technician: [
+    { pattern: /\b(my name is|i'm \w+ (from|with)|calling (from|on behalf of))\b/, weight: 3 },
+    { pattern: /\b(let me (show|walk|explain|go over)|i('d| would) recommend|what (i|we) (found|did)|we (replaced|installed|cleaned|recharged))\b/, weight: 2 },
+    { pattern: /\b(we|our company) (offer|install|include|provide|take care|can do)\b/, weight: 2 },
+    { pattern: /\b(seer|tonnage|refrigerant|compressor|condenser|air handler|duct\w*|inverter|btu|line set|permits?|hers)\b/, weight: 1 },
+    { pattern: /\b(rebates?|financing|warrant(y|ies)|promotions?|estimates?|autopay|options?)\b/, weight: 1 },
+  ],
+  customer: [
+    { pattern: /\b(my|our) (house|home|wife|husband|kids?|bill|furnace|system|unit|ac|garage|attic)\b/, weight: 2 },
+    { pattern: /\b(how much|what does (it|that) cost|do (i|we) need|should (i|we)|(i|we) paid|can (i|we) (pay|finance))\b/, weight: 2 },
+    { pattern: /\b(i see|got it|makes sense|i understand|sounds good)\b/, weight: 1 },
+  ],
+  other: [
+    { pattern: /\b(dispatch\w*|scheduling (department|team)|calling to (confirm|schedule)|appointment window|the office)\b/, weight: 3 },
+  ],
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Speakers with less than this share of the talk time and no clear cues are "other"
+const MINOR_SPEAKER_SHARE = 0.05;
+
+// Talk time per speaker in ms: { [speaker]: ms }
+export const getTalkTime = (sentences) => {
+  const talkTime = {};
+  sentences.forEach((s) => {
+    talkTime[s.speaker] = (talkTime[s.speaker] || 0) + (s.end - s.start);
+  });
+  return talkTime;
+};
+
+// Speaker ids in the order they are labelled ("A", "B", "C"…)
+export const listSpeakers = (sentences) => [...new Set(sentences.map((s) => s.speaker))].sort();
+
+// Cue score per role for every speaker, per sentence they spoke:
+// { [speaker]: { technician, customer, other } }
+const scoreSpeakers = (sentences, customer) => {
+  const totals = {};
+  const counts = {};
+  const name = customer ? escapeRegex(customer.toLowerCase()) : null;
+  const addressesCustomer = name ? new RegExp(`\\b${name}\\b`) : null;
+  const isCustomer = name ? new RegExp(`\\b(i'm|i am|this is|it's) ${name}\\b`) : null;
+
+  sentences.forEach((sentence) => {
+    const text = sentence.text.toLowerCase();
+    const scores = totals[sentence.speaker] || { technician: 0, customer: 0, other: 0 };
+    Object.entries(ROLE_CUES).forEach(([role, cues]) => {
+      cues.forEach((cue) => {
+        if (cue.pattern.test(text)) scores[role] += cue.weight;
+      });
+    });
+    // Saying your own name marks the customer; saying it to someone else marks the technician
+    if (isCustomer?.test(text)) scores.customer += 3;
+    else if (addressesCustomer?.test(text)) scores.technician += 1;
+    totals[sentence.speaker] = scores;
+    counts[sentence.speaker] = (counts[sentence.speaker] || 0) + 1;
+  });
+
+  Object.keys(totals).forEach((speaker) => {
+    Object.keys(totals[speaker]).forEach((role) => {
+      totals[speaker][role] /= counts[speaker];
+    });
+  });
+  return totals;
+};
+
+// Infer each speaker's role from content cues: { [speaker]: 'technician' | 'customer' | 'other' }.
+// The speaker with the most talk time is assumed to be the technician when no one
+// clearly is, and a call with several speakers always has a customer.
+export const detectSpeakerRoles = (sentences, { customer } = {}) => {
+  const speakers = listSpeakers(sentences);
+  if (speakers.length === 0) return {};
+  const talkTime = getTalkTime(sentences);
+  const totalTime = Object.values(talkTime).reduce((sum, ms) => sum + ms, 0) || 1;
+  const scores = scoreSpeakers(sentences, customer);
+  const byTalkTime = [...speakers].sort((a, b) => talkTime[b] - talkTime[a]);
+
+  const roles = {};
+  speakers.forEach((speaker) => {
+    const { technician, customer: customerScore, other } = scores[speaker];
+    const isMinor = talkTime[speaker] / totalTime < MINOR_SPEAKER_SHARE;
+    if ((other > 0 && other >= Math.max(technician, customerScore)) || (isMinor && technician === customerScore)) {
+      roles[speaker] = 'other';
+    } else {
+      roles[speaker] = technician > customerScore ? 'technician' : 'customer';
+    }
+  });
+
+  if (!speakers.some((s) => roles[s] === 'technician')) roles[byTalkTime[0]] = 'technician';
+  if (speakers.length > 1 && !speakers.some((s) => roles[s] === 'customer')) {
+    const margin = (s) => scores[s].customer - scores[s].technician;
+    const candidate = byTalkTime.filter((s) => s !== byTalkTime[0]).sort((a, b) => margin(b) - margin(a))[0];
+    roles[candidate] = 'customer';
+  }
+  return roles;
+};
+
+// Speaker colors cycle through --speaker-a … --speaker-f
+const SPEAKER_COLORS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+// Name, role and color of every speaker on a call, with the reviewer's edits
+// (`overrides`: { names: { [speaker]: name }, roles: { [speaker]: role } }) applied
+// over the detected roles: { [speaker]: { speaker, name, defaultName, role, detectedRole, color } }
+export const buildSpeakerProfiles = (sentences, call, detectedRoles, { names = {}, roles = {} } = {}) => {
+  const talkTime = getTalkTime(sentences);
+  const speakers = listSpeakers(sentences);
+  const roleOf = (speaker) => roles[speaker] || detectedRoles[speaker];
+
+  // The call's technician and customer names go to the main speaker in each role
+  const primary = (role) =>
+    speakers.filter((s) => roleOf(s) === role).sort((a, b) => talkTime[b] - talkTime[a])[0];
+  const defaultNames = {};
+  ['technician', 'customer'].forEach((role) => {
+    const speaker = primary(role);
+    if (speaker !== undefined) defaultNames[speaker] = call[role] || SPEAKER_ROLES[role];
+  });
+
+  return Object.fromEntries(speakers.map((speaker, idx) => {
+    const defaultName = defaultNames[speaker] || `Speaker ${speaker}`;
+    return [speaker, {
+      speaker,
+      name: names[speaker]?.trim() || defaultName,
+      defaultName,
+      role: roleOf(speaker),
+      detectedRole: detectedRoles[speaker],
+      color: SPEAKER_COLORS[idx % SPEAKER_COLORS.length],
+    }];
+  }));
+};
+
+// Reviewer edits to a call's speakers: { names: { [speaker]: name }, roles: { [speaker]: role } }
+export const loadSpeakerOverrides = async (callId) => {
+  const record = await getRecord(STORES.speakerProfiles, callId);
+  return { names: {}, roles: {}, ...record?.speakers };
+};
+
+export const saveSpeakerOverrides = (callId, speakers) =>
+  putRecord(STORES.speakerProfiles, { id: callId, speakers });
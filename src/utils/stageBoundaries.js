@@ -0,0 +1,54 @@
+// Reviewer adjustments to the detected stage boundaries, with an undo history.
+// A boundary is stored as the start time of the sentence its stage opens on:
+// { [stageId]: ms }, passed to generateCallStages as `stageStarts`.
+
+import { STORES, getRecord, putRecord } from './localStore';
+
+// Undo steps kept per call
+export const MAX_BOUNDARY_HISTORY = 20;
+
+export const EMPTY_BOUNDARIES = { starts: {}, history: [] };
+
+// Index of the sentence that starts nearest to `time` (ms)
+export const findNearestSentenceStart = (sentences, time) => {
+  let best = 0;
+  sentences.forEach((sentence, idx) => {
+    if (Math.abs(sentence.start - time) < Math.abs(sentences[best].start - time)) best = idx;
+  });
+  return best;
+};
+
+// The sentence stage `stageIdx` may open on when its start boundary is dragged: it must
+// leave at least one sentence to the stage before and to itself.
+// Returns { min, max } sentence indices.
+export const getBoundaryLimits = (callStages, stageIdx) => ({
+  min: callStages[stageIdx - 1].startIdx + 1,
+  max: callStages[stageIdx].endIdx,
+});
+
+// Move stage `stageId` to open on `sentence`, returning the next boundary state.
+// `state` is { starts, history }; the previous starts go onto the undo history.
+export const moveStageBoundary = (state, stageId, sentence) => ({
+  starts: { ...state.starts, [stageId]: sentence.start },
+  history: [...state.history, state.starts].slice(-MAX_BOUNDARY_HISTORY),
+});
+
+export const undoBoundaryChange = (state) => ({
+  starts: state.history[state.history.length - 1] || {},
+  history: state.history.slice(0, -1),
+});
+
+// Back to the detected boundaries; the reset itself can be undone
+export const resetStageBoundaries = (state) => ({
+  starts: {},
+  history: [...state.history, state.starts].slice(-MAX_BOUNDARY_HISTORY),
+});
+
+// Adjusted boundaries for one call: { starts, history }
+export const loadStageBoundaries = async (callId) => {
+  const record = await getRecord(STORES.stageBoundaries, callId);
+  return { ...EMPTY_BOUNDARIES, ...record?.boundaries };
+};
+
+export const saveStageBoundaries = (callId, boundaries) =>
+  putRecord(STORES.stageBoundaries, { id: callId, boundaries });
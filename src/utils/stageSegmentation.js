@@ -0,0 +1,265 @@
+// Stage segmentation - finds where each call stage starts and ends from the
+// transcript itself (cue phrases, topic keywords and speaker turns) instead of
+// fixed percentages of the call length.
+
+import { detectSpeakerRoles } from './speakerRoles';
+
+// Cue definitions per stage. Each cue is a regex with a weight; `role` limits a
+// cue to lines spoken by the technician or the customer. `window` is the broad
+// range of the call (in percent) where the stage can plausibly appear - it only
+// penalizes, it never places a boundary by itself.
+export const STAGE_CUES = {
+  introduction: {
+    window: [0, 20],
+    cues: [
+      { pattern: /\b(hello|hi|hey|good (morning|afternoon|evening))\b/, weight: 3 },
+      { pattern: /\bmy name is\b/, weight: 3 },
+      { pattern: /\bhow are you\b/, weight: 2 },
+      { pattern: /\bnice to (meet|see) you\b/, weight: 3 },
+      { pattern: /\bthanks for (having|waiting)\b/, weight: 2 },
+      { pattern: /\b(rest of (the|your) day|up to today)\b/, weight: 2 },
+      { pattern: /\bwork(ing)? from (home|anywhere)\b/, weight: 1 },
+    ],
+  },
+  diagnosis: {
+    window: [0, 40],
+    cues: [
+      { pattern: /\b(diagnos\w*|symptoms?|the (issue|problem))\b/, weight: 3 },
+      { pattern: /\bwhat to expect\b/, weight: 2 },
+      { pattern: /\b(temperature|degrees?|freezing)\b/, weight: 2 },
+      { pattern: /\b(band-?aid|temporary fix|repair(ed)?)\b/, weight: 2 },
+      { pattern: /\b(old unit|it is old|years old)\b/, weight: 2 },
+      { pattern: /\befficiency drop\b/, weight: 2 },
+      { pattern: /\b(leak\w*|recharge|charge)\b/, weight: 1 },
+      { pattern: /\b(mold|corrosion|crack\w*)\b/, weight: 1 },
+    ],
+  },
+  solution: {
+    window: [3, 85],
+    cues: [
+      { pattern: /\bequipment options?\b/, weight: 3, role: 'technician' },
+      { pattern: /\b(options?|estimates?) (that )?i (built|have|put together)\b/, weight: 3 },
+      { pattern: /\blike for like\b/, weight: 2 },
+      { pattern: /\bphased? out\b/, weight: 1 },
+      { pattern: /\bheat pumps?\b/, weight: 1 },
+      { pattern: /\b(furnace|condenser|coil|seer|sear rating|thermostat|inverter)\b/, weight: 1 },
+      { pattern: /\b(rebates?|warrant(y|ies)|guarantees?)\b/, weight: 1 },
+      { pattern: /\b(removal|permits?|sheet metal|electrical)\b/, weight: 1 },
+    ],
+  },
+  upsell: {
+    window: [20, 95],
+    cues: [
+      { pattern: /\b(upgrade|upgrading|add-?on)\b/, weight: 2 },
+      { pattern: /\battic\b/, weight: 2 },
+      { pattern: /\b(quieter|noise|noisy)\b/, weight: 2 },
+      { pattern: /\b(best possible|high(er)?[- ]end|premium)\b/, weight: 2 },
+      { pattern: /\benergy star\b/, weight: 2 },
+      { pattern: /\b(i can build|modify (this|these) estimates?)\b/, weight: 2, role: 'technician' },
+      { pattern: /\b(brand|bosch|daikin|bryant|carrier|trane|lennox)\b/, weight: 1 },
+      { pattern: /\b(package|grill)\b/, weight: 1 },
+    ],
+  },
+  decision: {
+    window: [40, 100],
+    cues: [
+      { pattern: /\b(interested (in|on)|i('d| would) (prefer|go with)|which one)\b/, weight: 3, role: 'customer' },
+      { pattern: /\bhow long (does|will) it take\b/, weight: 2, role: 'customer' },
+      { pattern: /\bfinanc\w*\b/, weight: 3 },
+      { pattern: /\bmonthly payments?\b/, weight: 3 },
+      { pattern: /\b\d+ months?\b/, weight: 2 },
+      { pattern: /\bpay (it )?off\b/, weight: 2 },
+      { pattern: /\b(interest|apr)\b/, weight: 1 },
+    ],
+  },
+  closing: {
+    window: [60, 100],
+    cues: [
+      { pattern: /\b(wife|husband|spouse|partner)\b/, weight: 3, role: 'customer' },
+      { pattern: /\b(think about it|make a decision|discuss (this|it))\b/, weight: 3 },
+      { pattern: /\b(email|send) (me|it|you)\b/, weight: 2 },
+      { pattern: /\b(signing|contract|deposit|right to cancel)\b/, weight: 2 },
+      { pattern: /\b(visa|mastercard|credit card|for today)\b/, weight: 2 },
+      { pattern: /\b(thank you|thanks so much|appreciate (it|you))\b/, weight: 2 },
+      { pattern: /\b(bye|goodbye|have a (good|great) (one|day|night|evening))\b/, weight: 3 },
+    ],
+  },
+};
+
+// Phrases that announce a change of topic, whatever stage comes next
+const TRANSITION_CUES = /\b(let's (go|get|talk|look|move)|moving on|so how about this|i (did )?just want(ed)? to (show|go over)|the next (step|option|thing))\b/;
+
+// Penalty per sentence for assigning it to a stage outside the stage's window
+const OUTSIDE_WINDOW_PENALTY = 2;
+// Bonus for starting a stage where the speaker changes
+const SPEAKER_TURN_BONUS = 1.5;
+
+// Raw cue score of every sentence for every stage: scores[i][k]
+const scoreSentences = (sentences, stageIds, roles) =>
+  sentences.map((sentence) => {
+    const textLower = sentence.text.toLowerCase();
+    const role = roles[sentence.speaker];
+    return stageIds.map((id) => {
+      const cues = STAGE_CUES[id]?.cues || [];
+      return cues.reduce((sum, cue) => {
+        if (cue.role && cue.role !== role) return sum;
+        return cue.pattern.test(textLower) ? sum + cue.weight : sum;
+      }, 0);
+    });
+  });
+
+// Spread each cue over its neighbours with a triangular kernel so that a
+// single cue pulls nearby filler sentences ("Okay.", "Yeah.") into its stage
+const smoothScores = (scores, radius) =>
+  scores.map((_, i) =>
+    scores[i].map((__, k) => {
+      let total = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(scores.length - 1, i + radius); j++) {
+        total += scores[j][k] * (1 - Math.abs(i - j) / (radius + 1));
+      }
+      return total;
+    })
+  );
+
+// Split sentences into ordered, contiguous, non-empty stages maximizing total
+// affinity (dynamic programming over sentence × stage). Returns start indices.
+const segment = (affinity, turnStarts, stageCount) => {
+  const n = affinity.length;
+  const best = Array.from({ length: n }, () => new Array(stageCount).fill(-Infinity));
+  const cameFromPrevStage = Array.from({ length: n }, () => new Array(stageCount).fill(false));
+
+  best[0][0] = affinity[0][0];
+  for (let i = 1; i < n; i++) {
+    for (let k = 0; k < stageCount; k++) {
+      const stay = best[i - 1][k];
+      const advance = k > 0 ? best[i - 1][k - 1] + (turnStarts[i] ? SPEAKER_TURN_BONUS : 0) : -Infinity;
+      if (advance > stay) {
+        best[i][k] = advance + affinity[i][k];
+        cameFromPrevStage[i][k] = true;
+      } else {
+        best[i][k] = stay + affinity[i][k];
+      }
+    }
+  }
+
+  const starts = new Array(stageCount).fill(0);
+  let k = stageCount - 1;
+  for (let i = n - 1; i > 0 && k > 0; i--) {
+    if (cameFromPrevStage[i][k]) {
+      starts[k] = i;
+      k--;
+    }
+  }
+  return starts;
+};
+
+// Move each boundary onto the nearby sentence that best announces the new
+// stage: its own cues, a generic transition phrase, or a change of speaker.
+// Boundaries are snapped in order so each stays after the previous snapped one
+// and leaves at least one sentence for every later stage.
+export const snapBoundaries = (starts, raw, sentences, turnStarts, radius) => {
+  const snapped = [];
+  starts.forEach((start, k) => {
+    if (k === 0) {
+      snapped.push(start);
+      return;
+    }
+    const lower = Math.max(snapped[k - 1] + 1, start - radius);
+    const upper = Math.min(sentences.length - (starts.length - k), start + radius);
+    let bestIdx = Math.min(Math.max(start, lower), upper);
+    let bestScore = 0;
+    for (let i = lower; i <= upper; i++) {
+      const score = raw[i][k]
+        + (TRANSITION_CUES.test(sentences[i].text.toLowerCase()) ? 3 : 0)
+        + (turnStarts[i] ? 0.5 : 0);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIdx = i;
+      }
+    }
+    snapped.push(bestIdx);
+  });
+  return snapped;
+};
+
+// Stage segments from the first sentence index of each stage
+const toSegments = (starts, sentences) => {
+  const n = sentences.length;
+  return starts.map((startIdx, k) => {
+    const isLast = k === starts.length - 1;
+    const endIdx = isLast ? n - 1 : starts[k + 1] - 1;
+    return {
+      startIdx,
+      endIdx,
+      startTime: k === 0 ? sentences[0].start : sentences[startIdx].start,
+      endTime: isLast ? sentences[n - 1].end : sentences[starts[k + 1]].start,
+      cue: sentences[startIdx].text,
+    };
+  });
+};
+
+// Detect stage boundaries for the given (ordered) stage ids.
+// Returns one entry per stage: { startIdx, endIdx, startTime, endTime, cue }
+// where `cue` is the sentence text that opened the stage.
+export const detectStageSegments = (sentences, stageIds) => {
+  const n = sentences.length;
+  const stageCount = stageIds.length;
+  const callStart = sentences[0].start;
+  const callEnd = sentences[n - 1].end;
+
+  // Too short to segment - one sentence per stage in order; the stages the call
+  // never reached get an empty range at its end
+  if (n < stageCount) {
+    return stageIds.map((_, k) => {
+      if (k >= n) {
+        return { startIdx: n, endIdx: n - 1, startTime: callEnd, endTime: callEnd, cue: null };
+      }
+      const isLast = k === n - 1;
+      return {
+        startIdx: k,
+        endIdx: k,
+        startTime: sentences[k].start,
+        endTime: isLast ? callEnd : sentences[k + 1].start,
+        cue: sentences[k].text,
+      };
+    });
+  }
+
+  const raw = scoreSentences(sentences, stageIds, detectSpeakerRoles(sentences));
+  const radius = Math.max(3, Math.round(n / 40));
+  const smoothed = smoothScores(raw, radius);
+
+  const affinity = smoothed.map((row, i) => {
+    const percent = ((sentences[i].start - callStart) / (callEnd - callStart || 1)) * 100;
+    return row.map((score, k) => {
+      const [min, max] = STAGE_CUES[stageIds[k]]?.window || [0, 100];
+      return percent < min || percent > max ? score - OUTSIDE_WINDOW_PENALTY : score;
+    });
+  });
+
+  const turnStarts = sentences.map((s, i) => i > 0 && s.speaker !== sentences[i - 1].speaker);
+  const starts = snapBoundaries(segment(affinity, turnStarts, stageCount), raw, sentences, turnStarts, radius);
+  return toSegments(starts, sentences);
+};
+
+// Replace detected stage starts with a reviewer's: `stageStarts` is { [stageId]: ms },
+// the start time of the sentence the stage should open on. Stages stay in order with at
+// least one sentence each; the first stage always opens the call. Adjusted segments are
+// flagged with `adjusted: true`.
+export const applyStageStarts = (segments, sentences, stageIds, stageStarts = {}) => {
+  const n = sentences.length;
+  if (n < stageIds.length || Object.keys(stageStarts).length === 0) return segments;
+
+  const indexByStart = new Map(sentences.map((sentence, idx) => [sentence.start, idx]));
+  const starts = segments.map((seg, k) => {
+    const time = stageStarts[stageIds[k]];
+    return k > 0 && indexByStart.has(time) ? indexByStart.get(time) : seg.startIdx;
+  });
+  for (let k = 1; k < starts.length; k++) {
+    starts[k] = Math.min(Math.max(starts[k], starts[k - 1] + 1), n - (starts.length - k));
+  }
+  return toSegments(starts, sentences).map((seg, k) => ({
+    ...seg,
+    adjusted: seg.startIdx !== segments[k].startIdx,
+  }));
+};
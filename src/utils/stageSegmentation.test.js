@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { detectStageSegments, snapBoundaries } from './stageSegmentation';
+
+const STAGE_IDS = ['introduction', 'diagnosis', 'solution', 'upsell', 'decision', 'closing'];
+
+const makeSentences = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    text: 'Okay.',
+    start: i * 1000,
+    end: i * 1000 + 900,
+    speaker: i % 2 === 0 ? 'A' : 'B',
+  }));
+
+describe('snapBoundaries', () => {
+  it('keeps adjacent boundaries inside the radius in order', () => {
+    const sentences = makeSentences(20);
+    const turnStarts = sentences.map(() => false);
+    // Stage 1 is cued at sentence 12 and stage 2 at sentence 11: snapping each on
+    // its own would cross them
+    const raw = sentences.map((_, i) => [0, i === 12 ? 5 : 0, i === 11 ? 5 : 0]);
+
+    const snapped = snapBoundaries([0, 10, 13], raw, sentences, turnStarts, 5);
+
+    expect(snapped[1]).toBe(12);
+    expect(snapped[2]).toBeGreaterThan(snapped[1]);
+  });
+
+  it('leaves a sentence for every later stage', () => {
+    const sentences = makeSentences(6);
+    const turnStarts = sentences.map(() => false);
+    const raw = sentences.map((_, i) => [0, i >= 4 ? 5 : 0, 0]);
+
+    expect(snapBoundaries([0, 3, 4], raw, sentences, turnStarts, 5)).toEqual([0, 4, 5]);
+  });
+});
+
+describe('detectStageSegments', () => {
+  it('gives stages a short call never reached an empty range', () => {
+    const segments = detectStageSegments(makeSentences(3), STAGE_IDS);
+
+    expect(segments.slice(0, 3).map((seg) => [seg.startIdx, seg.endIdx])).toEqual([[0, 0], [1, 1], [2, 2]]);
+    segments.slice(3).forEach((seg) => {
+      expect(seg.endIdx).toBeLessThan(seg.startIdx);
+      expect(seg.cue).toBeNull();
+    });
+  });
+
+  it('never produces an empty or overlapping stage when there are enough sentences', () => {
+    const segments = detectStageSegments(makeSentences(40), STAGE_IDS);
+
+    segments.forEach((seg, k) => {
+      expect(seg.endIdx).toBeGreaterThanOrEqual(seg.startIdx);
+      if (k > 0) expect(seg.startIdx).toBe(segments[k - 1].endIdx + 1);
+    });
+  });
+});
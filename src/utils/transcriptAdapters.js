@@ -0,0 +1,271 @@
+// Transcript format adapters - convert other vendors' transcripts into the internal
+// sentence/word model (the shape of AssemblyAI's `sentences` export). Every format is
+// reduced to a stream of timed words, which is then grouped into sentences, so stats,
+// keywords and stage detection behave the same whatever the source.
+
+export const TRANSCRIPT_FORMATS = {
+  assemblyai: 'AssemblyAI sentences',
+  whisper: 'Whisper segments',
+  deepgram: 'Deepgram utterances',
+  webvtt: 'WebVTT captions',
+  plain: 'Plain text',
+};
+
+// Captions and plain text carry no confidence; their words get this instead
+export const ESTIMATED_CONFIDENCE = 0.9;
+// Speaking rate used to time untimed text (about 150 words a minute)
+const MS_PER_CHAR = 65;
+// Pause assumed between untimed lines
+const LINE_GAP_MS = 500;
+// A pause this long between words starts a new sentence, even without punctuation
+const SENTENCE_PAUSE_MS = 1500;
+// Unpunctuated text is cut into sentences of at most this many words
+const MAX_SENTENCE_WORDS = 60;
+
+const SENTENCE_END = /[.?!…]["')\]]*$/;
+const SPEAKER_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const toMs = (seconds) => Math.round(seconds * 1000);
+
+// Spread a line of text over [start, end], each word taking time in proportion to its
+// length: [{ text, start, end, confidence }]
+export const estimateWordTimings = (text, start, end, confidence = ESTIMATED_CONFIDENCE) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const totalChars = tokens.reduce((sum, token) => sum + token.length + 1, 0);
+  const span = Math.max(end - start, 0);
+  let cursor = start;
+  return tokens.map((token) => {
+    const duration = (span * (token.length + 1)) / totalChars;
+    const word = { text: token, start: Math.round(cursor), end: Math.round(cursor + duration), confidence };
+    cursor += duration;
+    return word;
+  });
+};
+
+// Group a stream of timed words ({ text, start, end, confidence, speaker }) into
+// sentences: a new one starts at a change of speaker, after sentence-ending
+// punctuation or after a long pause
+const groupIntoSentences = (words) => {
+  const sentences = [];
+  let current = null;
+  words.forEach((word) => {
+    const prev = current?.words[current.words.length - 1];
+    const startsNew = !current
+      || word.speaker !== current.speaker
+      || SENTENCE_END.test(prev.text)
+      || word.start - prev.end >= SENTENCE_PAUSE_MS
+      || current.words.length >= MAX_SENTENCE_WORDS;
+    if (startsNew) {
+      current = { speaker: word.speaker, words: [] };
+      sentences.push(current);
+    }
+    current.words.push(word);
+  });
+  // Reviews, notes and corrections are keyed by sentence start, so no two sentences may
+  // share one: a zero-length cue or turns with the same timestamp get bumped 1 ms apart
+  let previousStart = -Infinity;
+  return sentences.map(({ speaker, words: sentenceWords }) => {
+    const start = Math.max(sentenceWords[0].start, previousStart + 1);
+    previousStart = start;
+    const words = [{ ...sentenceWords[0], start }, ...sentenceWords.slice(1)];
+    return {
+      text: words.map((w) => w.text).join(' '),
+      start,
+      end: Math.max(words[words.length - 1].end, start),
+      confidence: words.reduce((sum, w) => sum + w.confidence, 0) / words.length,
+      speaker,
+      words,
+    };
+  });
+};
+
+// Relabel vendor speakers (0, "SPEAKER_01", "Luis"…) as A, B, C… in order of appearance.
+// Speakers that came with real names keep them as display names: { [letter]: name }
+const labelSpeakers = (words) => {
+  const letters = new Map();
+  const speakerNames = {};
+  const labelled = words.map((word) => {
+    const key = word.speaker ?? '';
+    if (!letters.has(key)) {
+      const letter = SPEAKER_LETTERS[letters.size % SPEAKER_LETTERS.length];
+      letters.set(key, letter);
+      if (word.speakerName) speakerNames[letter] = word.speakerName;
+    }
+    return { text: word.text, start: word.start, end: word.end, confidence: word.confidence, speaker: letters.get(key) };
+  });
+  return { words: labelled, speakerNames };
+};
+
+const finish = (format, words) => {
+  const ordered = words.filter((w) => w.text).sort((a, b) => a.start - b.start);
+  if (ordered.length === 0) throw new Error(`The ${TRANSCRIPT_FORMATS[format]} file has no words in it`);
+  const { words: labelled, speakerNames } = labelSpeakers(ordered);
+  return { format, sentences: groupIntoSentences(labelled), speakerNames };
+};
+
+// Whisper / WhisperX JSON: { segments: [{ start, end, text, avg_logprob?, speaker?,
+// words?: [{ word, start, end, probability | score }] }], words? } with times in seconds
+const adaptWhisper = (data) => {
+  const topWords = Array.isArray(data.words) ? data.words : [];
+  const words = data.segments.flatMap((segment, idx) => {
+    if (!isNumber(segment.start) || !isNumber(segment.end) || typeof segment.text !== 'string') {
+      throw new Error(`Whisper segment ${idx + 1} needs "start", "end" and "text"`);
+    }
+    const segmentConfidence = isNumber(segment.avg_logprob) ? Math.exp(segment.avg_logprob) : ESTIMATED_CONFIDENCE;
+    const speaker = segment.speaker ?? null;
+    const sourceWords = segment.words
+      || topWords.filter((w) => w.start >= segment.start && w.start < segment.end);
+    const timed = sourceWords.filter((w) => isNumber(w.start) && isNumber(w.end));
+    if (timed.length === 0) {
+      return estimateWordTimings(segment.text.trim(), toMs(segment.start), toMs(segment.end), segmentConfidence)
+        .map((w) => ({ ...w, speaker }));
+    }
+    return timed.map((w) => ({
+      text: (w.word ?? w.text ?? '').trim(),
+      start: toMs(w.start),
+      end: toMs(w.end),
+      confidence: w.probability ?? w.score ?? segmentConfidence,
+      speaker: w.speaker ?? speaker,
+    }));
+  });
+  return finish('whisper', words);
+};
+
+// Deepgram JSON: results.utterances (diarized) or, failing that, the first channel's
+// words. Times in seconds; `punctuated_word` is preferred when present.
+const adaptDeepgram = (data) => {
+  const toWord = (w, speaker) => ({
+    text: w.punctuated_word ?? w.word,
+    start: toMs(w.start),
+    end: toMs(w.end),
+    confidence: isNumber(w.confidence) ? w.confidence : ESTIMATED_CONFIDENCE,
+    speaker: w.speaker ?? speaker ?? null,
+  });
+  const { utterances, channels } = data.results;
+  if (Array.isArray(utterances) && utterances.length > 0) {
+    return finish('deepgram', utterances.flatMap((utterance) => {
+      if (Array.isArray(utterance.words) && utterance.words.length > 0) {
+        return utterance.words.map((w) => toWord(w, utterance.speaker));
+      }
+      const confidence = isNumber(utterance.confidence) ? utterance.confidence : ESTIMATED_CONFIDENCE;
+      return estimateWordTimings(utterance.transcript || '', toMs(utterance.start), toMs(utterance.end), confidence)
+        .map((w) => ({ ...w, speaker: utterance.speaker ?? null }));
+    }));
+  }
+  const words = channels?.[0]?.alternatives?.[0]?.words;
+  if (!Array.isArray(words)) throw new Error('Expected Deepgram "results.utterances" or "results.channels[0].alternatives[0].words"');
+  return finish('deepgram', words.map((w) => toWord(w, null)));
+};
+
+// "01:02:03.456", "02:03.456" (WebVTT) or "01:02:03,456" (SRT-style) to ms
+const parseTimestamp = (text) => {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return null;
+  const [, hours = '0', minutes, seconds, millis = '0'] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis.padEnd(3, '0'));
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
+
+// "Name: text" at the start of a line
+const SPEAKER_PREFIX = /^([A-Za-z][\w .'-]{0,40}?):\s+(.+)$/;
+
+// WebVTT captions. Speakers come from voice tags (<v Name>) or a "Name:" prefix; a cue
+// without either continues the previous speaker.
+const adaptWebVtt = (text) => {
+  const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const words = [];
+  let speaker = null;
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter((line) => line.trim());
+    const timingIdx = lines.findIndex((line) => line.includes('-->'));
+    if (timingIdx === -1) return; // header, NOTE, STYLE or REGION blocks
+    const [startText, rest] = lines[timingIdx].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (start === null || end === null) throw new Error(`Unreadable cue timing: "${lines[timingIdx]}"`);
+
+    let payload = lines.slice(timingIdx + 1).join(' ');
+    const voice = payload.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+    if (voice) speaker = voice[1].trim();
+    payload = decodeEntities(payload.replace(/<[^>]+>/g, '')).trim();
+    const prefixed = !voice && payload.match(SPEAKER_PREFIX);
+    if (prefixed) {
+      speaker = prefixed[1].trim();
+      payload = prefixed[2];
+    }
+    if (!payload) return;
+    estimateWordTimings(payload, start, end).forEach((w) => words.push({ ...w, speaker, speakerName: speaker }));
+  });
+  if (words.length === 0) throw new Error('No caption cues were found in the WebVTT file');
+  return finish('webvtt', words);
+};
+
+// Optional timestamp at the start of a plain-text line: "[00:01:23]", "(1:23)", "00:01:23 -"
+const LINE_TIMESTAMP = /^[[(]?((?:\d+:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)[\])]?\s*[-–]?\s*/;
+
+// Plain "Speaker: text" logs, one turn per line, optionally timestamped. Lines without a
+// speaker continue the previous turn. Untimed lines are timed at a typical speaking rate.
+const adaptPlainText = (text) => {
+  const turns = [];
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine) => {
+    let line = rawLine.trim();
+    if (!line) return;
+    const stamp = line.match(LINE_TIMESTAMP);
+    const start = stamp ? parseTimestamp(stamp[1]) : null;
+    if (stamp) line = line.slice(stamp[0].length);
+    const prefixed = line.match(SPEAKER_PREFIX);
+    if (prefixed || turns.length === 0 || start !== null) {
+      turns.push({
+        speaker: prefixed ? prefixed[1].trim() : turns[turns.length - 1]?.speaker ?? null,
+        start,
+        text: prefixed ? prefixed[2] : line,
+      });
+    } else {
+      turns[turns.length - 1].text += ` ${line}`;
+    }
+  });
+  if (turns.length === 0) throw new Error('The text file is empty');
+
+  const words = [];
+  let cursor = 0;
+  let previousEnd = 0;
+  turns.forEach((turn, idx) => {
+    // A turn stamped with the same time as the one before it follows that one
+    const start = turn.start === null ? cursor : Math.max(turn.start, previousEnd);
+    const spoken = turn.text.length * MS_PER_CHAR;
+    const nextStart = turns[idx + 1]?.start;
+    const end = nextStart !== null && nextStart !== undefined && nextStart > start
+      ? Math.min(nextStart, start + spoken)
+      : start + spoken;
+    estimateWordTimings(turn.text, start, end).forEach((w) => words.push({ ...w, speaker: turn.speaker, speakerName: turn.speaker }));
+    cursor = end + LINE_GAP_MS;
+    previousEnd = end;
+  });
+  return finish('plain', words);
+};
+
+// Work out which format a file is in from its name and content, and convert it:
+// { format, sentences, speakerNames }. AssemblyAI sentences are passed through as-is
+// (they are validated by the caller like every other format).
+export const adaptTranscript = (fileName, content) => {
+  const name = fileName.toLowerCase();
+  const trimmed = content.trimStart();
+
+  if (name.endsWith('.vtt') || trimmed.startsWith('WEBVTT')) return adaptWebVtt(content);
+  if (name.endsWith('.json') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      throw new Error(`${fileName} is not valid JSON`);
+    }
+    if (Array.isArray(data?.sentences)) return { format: 'assemblyai', sentences: data.sentences, speakerNames: {} };
+    if (Array.isArray(data?.segments)) return adaptWhisper(data);
+    if (data?.results && typeof data.results === 'object') return adaptDeepgram(data);
+    throw new Error(`${fileName} isn't a transcript format we know: expected AssemblyAI "sentences", Whisper "segments" or Deepgram "results"`);
+  }
+  return adaptPlainText(content);
+};
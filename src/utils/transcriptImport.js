@@ -0,0 +1,92 @@
+// Client-side import of transcripts. AssemblyAI `sentences` exports are read as-is;
+// other formats are converted first (see transcriptAdapters.js).
+
+import { STORES, getAllRecords, putRecord, deleteRecord, deleteCallRecords } from './localStore';
+import { TRANSCRIPT_FORMATS, adaptTranscript } from './transcriptAdapters';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Validate a single word entry, returning an error message or null
+const validateWord = (word, where) => {
+  if (!word || typeof word !== 'object') return `${where} is not an object`;
+  if (typeof word.text !== 'string') return `${where} is missing "text"`;
+  if (!isNumber(word.start) || !isNumber(word.end)) return `${where} needs numeric "start" and "end" (ms)`;
+  if (word.end < word.start) return `${where} ends before it starts`;
+  if (!isNumber(word.confidence)) return `${where} is missing "confidence"`;
+  return null;
+};
+
+// Validate a single sentence entry, returning an error message or null
+const validateSentence = (sentence, idx) => {
+  const where = `Sentence ${idx + 1}`;
+  if (!sentence || typeof sentence !== 'object') return `${where} is not an object`;
+  if (typeof sentence.text !== 'string' || !sentence.text.trim()) return `${where} is missing "text"`;
+  if (!isNumber(sentence.start) || !isNumber(sentence.end)) return `${where} needs numeric "start" and "end" (ms)`;
+  if (sentence.end < sentence.start) return `${where} ends before it starts`;
+  if (!isNumber(sentence.confidence) || sentence.confidence < 0 || sentence.confidence > 1) {
+    return `${where} needs a "confidence" between 0 and 1`;
+  }
+  if (typeof sentence.speaker !== 'string' || !sentence.speaker) return `${where} is missing "speaker"`;
+  if (!Array.isArray(sentence.words)) return `${where} is missing its "words" array`;
+  for (let w = 0; w < sentence.words.length; w++) {
+    const error = validateWord(sentence.words[w], `${where}, word ${w + 1}`);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Validate parsed JSON against the `{ sentences: [...] }` shape the app reads.
+// Returns the sentences sorted by start time, or throws with a readable message.
+export const validateTranscript = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.sentences)) {
+    throw new Error('Expected an AssemblyAI sentences export: { "sentences": [...] }');
+  }
+  if (data.sentences.length === 0) {
+    throw new Error('The transcript has no sentences');
+  }
+  data.sentences.forEach((sentence, idx) => {
+    const error = validateSentence(sentence, idx);
+    if (error) throw new Error(error);
+  });
+  return [...data.sentences].sort((a, b) => a.start - b.start);
+};
+
+// Files the import accepts (the format is worked out from the name and content)
+export const TRANSCRIPT_FILE_TYPES = '.json,.vtt,.txt,application/json,text/vtt,text/plain';
+
+// Read a dropped/selected File in any supported format and return validated sentences:
+// { format, formatName, sentences, speakerNames }
+export const readTranscriptFile = async (file) => {
+  const { format, sentences, speakerNames } = adaptTranscript(file.name, await file.text());
+  return {
+    format,
+    formatName: TRANSCRIPT_FORMATS[format],
+    sentences: validateTranscript({ sentences }),
+    speakerNames,
+  };
+};
+
+// Build a call library entry for an imported transcript
+export const createImportedCall = (fileName) => {
+  const now = new Date();
+  const pad = (n) => n.toString().padStart(2, '0');
+  return {
+    // Several files dropped together can share a millisecond
+    id: `import-${now.getTime()}-${Math.random().toString(36).slice(2, 7)}`,
+    title: fileName.replace(/\.(json|vtt|txt)$/i, ''),
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+    technician: 'Technician',
+    customer: 'Customer',
+    imported: true,
+  };
+};
+
+// Imported calls are kept in IndexedDB as { id, call, sentences }
+export const loadImportedCalls = () => getAllRecords(STORES.importedCalls);
+
+export const saveImportedCall = (call, sentences) =>
+  putRecord(STORES.importedCalls, { id: call.id, call, sentences });
+
+// Remove an imported call along with everything saved for it
+export const removeImportedCall = (callId) =>
+  Promise.all([deleteRecord(STORES.importedCalls, callId), deleteCallRecords(callId)]);
@@ -0,0 +1,211 @@
+// Reviewer corrections to the transcript: reworded text, reassigned speakers, split and
+// merged sentences. The ASR sentences are never changed; the corrected transcript is
+// rebuilt by replaying the revision log over them, so the original stays available and
+// every change is recorded with who made it and when. Undo and restore are entries in the
+// log too, so taking a change back never erases the record of it.
+
+import { STORES, getRecord, putRecord } from './localStore';
+import { estimateWordTimings } from './transcriptAdapters';
+
+export const REVISION_TYPES = {
+  text: 'Corrected text',
+  speaker: 'Reassigned speaker',
+  split: 'Split sentence',
+  merge: 'Merged sentences',
+  undo: 'Undid change',
+  restore: 'Restored ASR transcript',
+};
+
+// Revision types that change the transcript (the rest take changes back)
+const EDIT_TYPES = ['text', 'speaker', 'split', 'merge'];
+
+// Human-corrected words are taken as certain
+const CORRECTED_CONFIDENCE = 1;
+
+const newId = () => `rev-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+const averageConfidence = (words, fallback) =>
+  words.length > 0 ? words.reduce((sum, w) => sum + w.confidence, 0) / words.length : fallback;
+
+// The ASR text and speaker a corrected sentence started from
+const originalOf = (sentence) => sentence.original || { text: sentence.text, speaker: sentence.speaker };
+
+// A revision of the sentence starting at `sentence.start`. Payloads:
+//   text: { text }, speaker: { speaker }, split: { wordIdx } (the second part starts at
+//   that word), merge: {} (joins the sentence with the next one).
+// `before` keeps what was replaced, for the revision log.
+export const createRevision = (type, sentence, payload, author, nextSentence = null) => ({
+  id: newId(),
+  type,
+  sentenceStart: sentence.start,
+  ...payload,
+  before: {
+    text: sentence.text,
+    speaker: sentence.speaker,
+    ...(type === 'merge' && { nextText: nextSentence?.text || '' }),
+  },
+  author,
+  createdAt: new Date().toISOString(),
+});
+
+// Take back `target`, an edit still in effect
+export const createUndoRevision = (target, author) => ({
+  id: newId(),
+  type: 'undo',
+  targetId: target.id,
+  sentenceStart: target.sentenceStart,
+  before: { type: target.type, text: target.before.text, author: target.author },
+  author,
+  createdAt: new Date().toISOString(),
+});
+
+// Take back every edit in effect (`count` of them) to show the ASR transcript again
+export const createRestoreRevision = (count, author) => ({
+  id: newId(),
+  type: 'restore',
+  sentenceStart: null,
+  count,
+  author,
+  createdAt: new Date().toISOString(),
+});
+
+// The edits still in effect, oldest first: an undo cancels its target, a restore all of them
+export const getActiveRevisions = (revisions) => {
+  let active = [];
+  revisions.forEach((revision) => {
+    if (revision.type === 'undo') active = active.filter((r) => r.id !== revision.targetId);
+    else if (revision.type === 'restore') active = [];
+    else if (EDIT_TYPES.includes(revision.type)) active.push(revision);
+  });
+  return active;
+};
+
+// Ids of the edits an undo or restore has taken back
+export const getRevertedIds = (revisions) => {
+  const active = new Set(getActiveRevisions(revisions).map((r) => r.id));
+  return new Set(revisions.filter((r) => EDIT_TYPES.includes(r.type) && !active.has(r.id)).map((r) => r.id));
+};
+
+// New text for a sentence. With the same number of words the ASR timings are kept and
+// only changed words are re-scored; otherwise the words are re-timed over the sentence.
+const reviseText = (sentence, text) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const words = tokens.length === sentence.words.length
+    ? sentence.words.map((word, idx) => (
+      word.text === tokens[idx] ? word : { ...word, text: tokens[idx], confidence: CORRECTED_CONFIDENCE }
+    ))
+    : estimateWordTimings(text, sentence.start, sentence.end, CORRECTED_CONFIDENCE)
+      .map((word) => ({ ...word, speaker: sentence.speaker }));
+  return { ...sentence, text, words, confidence: averageConfidence(words, sentence.confidence) };
+};
+
+const applyRevision = (sentences, revision) => {
+  const idx = sentences.findIndex((s) => s.start === revision.sentenceStart);
+  if (idx === -1) return sentences; // no longer there, e.g. merged into the sentence before
+  const sentence = sentences[idx];
+  const marked = (s, original = originalOf(sentence)) => ({ ...s, corrected: true, original });
+  const next = [...sentences];
+
+  if (revision.type === 'text') {
+    next[idx] = marked(reviseText(sentence, revision.text));
+  } else if (revision.type === 'speaker') {
+    next[idx] = marked({
+      ...sentence,
+      speaker: revision.speaker,
+      words: sentence.words.map((word) => ({ ...word, speaker: revision.speaker })),
+    });
+  } else if (revision.type === 'split') {
+    const { wordIdx } = revision;
+    if (wordIdx <= 0 || wordIdx >= sentence.words.length) return sentences;
+    const part = (words, start, end) => ({
+      ...sentence,
+      text: words.map((w) => w.text).join(' '),
+      start,
+      end,
+      words,
+      confidence: averageConfidence(words, sentence.confidence),
+    });
+    const firstWords = sentence.words.slice(0, wordIdx);
+    const secondWords = sentence.words.slice(wordIdx);
+    const secondStart = Math.max(secondWords[0].start, sentence.start + 1);
+    // Both halves share one original object, so a later merge can tell they belong together
+    const original = originalOf(sentence);
+    next.splice(idx, 1,
+      marked(part(firstWords, sentence.start, firstWords[firstWords.length - 1].end), original),
+      marked(part(secondWords, secondStart, sentence.end), original));
+  } else if (revision.type === 'merge') {
+    const following = sentences[idx + 1];
+    if (!following) return sentences;
+    const words = [...sentence.words, ...following.words.map((word) => ({ ...word, speaker: sentence.speaker }))];
+    // Rejoining the two halves of a split sentence gives back its own original
+    const original = originalOf(sentence) === originalOf(following)
+      ? originalOf(sentence)
+      : { text: `${originalOf(sentence).text} ${originalOf(following).text}`, speaker: originalOf(sentence).speaker };
+    next.splice(idx, 2, marked({
+      ...sentence,
+      text: `${sentence.text} ${following.text}`,
+      end: following.end,
+      words,
+      confidence: averageConfidence(words, sentence.confidence),
+    }, original));
+  }
+  return next;
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// What a split or merge would leave behind: notes, confidence reviews and boundary
+// overrides are keyed by sentence start, so a merge hides those on the next sentence
+// and a split leaves notes on the second part pointing at the first. Returns phrases
+// such as ['2 notes', 'a confidence review'] (empty when nothing is affected).
+export const findDetachedData = (type, payload, sentence, nextSentence, { annotations, reviews, stageStarts }) => {
+  const items = [];
+  if (type === 'merge' && nextSentence) {
+    const key = String(nextSentence.start);
+    const notes = annotations.filter((a) => a.sentenceKey === key).length;
+    if (notes > 0) items.push(plural(notes, 'note'));
+    if (reviews[key]) items.push('a confidence review');
+    if (Object.values(stageStarts).includes(nextSentence.start)) items.push('an adjusted stage boundary');
+  } else if (type === 'split') {
+    const key = String(sentence.start);
+    const notes = annotations.filter((a) => a.sentenceKey === key && a.wordEnd > payload.wordIdx).length;
+    if (notes > 0) items.push(`${plural(notes, 'note')} on words after the split`);
+  }
+  return items;
+};
+
+// The corrected transcript: the edits still in effect replayed in order over the ASR
+// sentences. Changed sentences get `corrected: true` and `original: { text, speaker }`.
+export const applyRevisions = (sentences, revisions) => {
+  const active = getActiveRevisions(revisions);
+  return active.length === 0 ? sentences : active.reduce(applyRevision, sentences);
+};
+
+// One line for the revision log, e.g. `"interested on" → "interested in"`
+export const describeRevision = (revision, speakerName) => {
+  switch (revision.type) {
+    case 'text':
+      return `"${revision.before.text}" → "${revision.text}"`;
+    case 'speaker':
+      return `${speakerName(revision.before.speaker)} → ${speakerName(revision.speaker)}: "${revision.before.text}"`;
+    case 'split':
+      return `"${revision.before.text}" split before word ${revision.wordIdx + 1}`;
+    case 'merge':
+      return `"${revision.before.text}" + "${revision.before.nextText}"`;
+    case 'undo':
+      return `${REVISION_TYPES[revision.before.type]} by ${revision.before.author}: "${revision.before.text}"`;
+    case 'restore':
+      return `${revision.count} correction${revision.count === 1 ? '' : 's'} taken back`;
+    default:
+      return revision.type;
+  }
+};
+
+// The revision log for one call, oldest first
+export const loadTranscriptRevisions = async (callId) => {
+  const record = await getRecord(STORES.transcriptRevisions, callId);
+  return record?.revisions || [];
+};
+
+export const saveTranscriptRevisions = (callId, revisions) =>
+  putRecord(STORES.transcriptRevisions, { id: callId, revisions });